@@ -4,14 +4,34 @@
  * Manifest V3 compatible
  */
 
+import { validateMessage } from './validation.js';
+import {
+  checkSecret,
+  inferSecretKind,
+  DEFAULT_PASSPHRASE_POLICY,
+} from '../crypto/secret-policy.js';
+import {
+  deriveKeyBits,
+  getKdfPreset,
+  isSameKdf,
+  DEFAULT_KDF,
+  LEGACY_KDF_PARAMS,
+} from '../crypto/kdf.js';
+import {
+  getStorageBackend,
+  IndexedDBBackend,
+  MemoryStorageBackend,
+  MIGRATION_MARKER,
+} from '../storage/backends.js';
+import { mergeText } from './merge.js';
+
 // Import crypto utilities (simplified version without TS)
+// Key derivation parameters live in crypto/kdf.js and are stored per vault
 const CRYPTO_CONFIG = {
   algorithm: 'AES-GCM',
   keyLength: 256,
-  iterations: 310000,
   saltLength: 32,
   ivLength: 12,
-  hash: 'SHA-256',
 };
 
 const DEFAULT_SETTINGS = {
@@ -19,8 +39,10 @@ const DEFAULT_SETTINGS = {
   requirePIN: true,
   autoLockTimer: 300000,
   encryptionEnabled: true,
-  maskNoteText: false,
+  maskNoteText: true,
   rateLimitPINAttempts: true,
+  passphrasePolicy: { ...DEFAULT_PASSPHRASE_POLICY },
+  keyDerivation: DEFAULT_KDF,
   theme: 'light',
   defaultNoteColor: '#FFF9E6',
   noteFontSize: 'medium',
@@ -33,6 +55,9 @@ const DEFAULT_SETTINGS = {
   enableDragSnap: true,
   defaultNotePosition: 'top-right',
   defaultNoteSize: 'medium',
+  revisionLimit: 20,
+  revisionMaxAge: 30 * 24 * 60 * 60 * 1000,
+  trashRetention: 30 * 24 * 60 * 60 * 1000,
   shortcuts: {
     newPageNote: 'Ctrl+Shift+N',
     openVault: 'Ctrl+Shift+V',
@@ -41,11 +66,82 @@ const DEFAULT_SETTINGS = {
   },
 };
 
+/**
+ * Security levels
+ * settings.securityLevel selects one of these policies. encryptionEnabled
+ * and requirePIN are owned by the level and only change with it
+ * (SET_SECURITY_LEVEL); the defaults are applied when switching and can be
+ * adjusted afterwards.
+ *   encryptionEnabled     notes are encrypted at rest
+ *   requirePIN            encrypted notes stay locked until unlocked
+ *   pageNotesWhileLocked  page notes are kept unencrypted so they show on
+ *                         their page while the vault is locked
+ */
+const SECURITY_LEVELS = {
+  full: {
+    encryptionEnabled: true,
+    requirePIN: true,
+    pageNotesWhileLocked: false,
+    defaults: { autoLockTimer: 300000, maskNoteText: true },
+  },
+  medium: {
+    encryptionEnabled: true,
+    requirePIN: true,
+    pageNotesWhileLocked: true,
+    defaults: { autoLockTimer: 600000, maskNoteText: false },
+  },
+  none: {
+    encryptionEnabled: false,
+    requirePIN: false,
+    pageNotesWhileLocked: true,
+    defaults: { autoLockTimer: 0, maskNoteText: false },
+  },
+};
+
+// Persistent records (settings, vault keys, notes, ...) are read and written
+// through the backend picked for this browser; see storage/backends.js
+const storage = getStorageBackend();
+
 // State
+// MV3 may terminate the worker at any time, so the unlocked key is mirrored
+// in chrome.storage.session (memory-only, trusted contexts) and auto-lock is
+// driven by chrome.alarms instead of setTimeout. The mirrored key is sealed
+// with a non-extractable key made for the session and kept in IndexedDB, so
+// reading session storage alone does not give it away.
+const SESSION_STORAGE_KEY = 'vaultSession';
+const SESSION_SEAL_KEY = 'sessionSealKey';
+// Without IndexedDB (Node) a restarted worker starts locked
+const sessionKeys = IndexedDBBackend.isAvailable()
+  ? new IndexedDBBackend({ name: 'quietnote-session', broadcast: false })
+  : new MemoryStorageBackend();
+const AUTO_LOCK_ALARM = 'quietnote-auto-lock';
+const TRASH_PURGE_ALARM = 'quietnote-trash-purge';
+const TRASH_PURGE_INTERVAL_MINUTES = 60;
+
 let encryptionKey = null;
 let encryptionSalt = null;
-let autoLockTimer = null;
+let pageIdKey = null;
+// Keys of a rotated-out data key while notes sealed with it remain
+// ({ encryptionKey, pageIdKey }; see ROTATE_DATA_KEY)
+let previousKeys = null;
 let lockState = { locked: true, lastUnlock: 0 };
+// Decrypted notes of the unlocked vault (see getNoteIndex)
+let noteIndex = null;
+
+// Note writes that arrived while locked, replayed in order by the next
+// unlock. Memory only: lost if the worker stops first, and never written to
+// disk unencrypted.
+const MAX_PENDING_WRITES = 50;
+let pendingWrites = [];
+
+const sessionReady = restoreSession();
+// A job interrupted by the worker stopping carries on where it left off
+sessionReady.then(resumeReencryptJob).catch(error => {
+  console.warn('[QuietNote] Failed to resume re-encryption:', error);
+});
+scheduleTrashPurge().catch(error => {
+  console.warn('[QuietNote] Failed to schedule trash purge:', error);
+});
 
 /**
  * Initialize service worker
@@ -54,20 +150,17 @@ chrome.runtime.onInstalled.addListener(async () => {
   console.log('[QuietNote] Service Worker installed');
 
   // Initialize default storage
-  chrome.storage.local.get(['settings'], result => {
-    if (!result.settings) {
-      chrome.storage.local.set({ settings: DEFAULT_SETTINGS });
-    }
-  });
+  const result = await storage.get(['settings', 'lockState']);
+  if (!result.settings) {
+    await storage.set({ settings: DEFAULT_SETTINGS });
+  }
 
   // Set default lock state
-  chrome.storage.local.get(['lockState'], result => {
-    if (!result.lockState) {
-      chrome.storage.local.set({
-        lockState: { locked: true, lastUnlock: 0 },
-      });
-    }
-  });
+  if (!result.lockState) {
+    await storage.set({
+      lockState: { locked: true, lastUnlock: 0 },
+    });
+  }
 
   // Run migration to v2 schema
   await runMigration();
@@ -75,35 +168,89 @@ chrome.runtime.onInstalled.addListener(async () => {
 
 /**
  * Listen for messages from content scripts and popup
- * Strict allowlist of allowed message types
- */
-const ALLOWED_MESSAGES = [
-  'GET_SETTINGS',
-  'UPDATE_SETTINGS',
-  'UNLOCK',
-  'LOCK',
-  'GET_LOCK_STATE',
-  'CREATE_NOTE',
-  'GET_NOTE',
-  'UPDATE_NOTE',
-  'DELETE_NOTE',
-  'GET_ALL_NOTES',
-  'SET_PIN',
-  'VERIFY_PIN',
-  'ENCRYPT_DATA',
-  'DECRYPT_DATA',
-  'EXPORT_NOTES',
-  'IMPORT_NOTES',
-  'CLEAR_NOTES',
-];
+ * Every message type declares which senders may use it:
+ *   extension - extension pages (popup, settings) on our own origin
+ *   content   - our content script running inside a web page tab
+ * pageBound messages from content scripts may only address the sender's page.
+ * Anything not listed here is rejected.
+ */
+const SENDER_EXTENSION = 'extension';
+const SENDER_CONTENT = 'content';
+
+const MESSAGE_CAPABILITIES = {
+  // Lock state
+  UNLOCK: { senders: [SENDER_EXTENSION, SENDER_CONTENT] },
+  LOCK: { senders: [SENDER_EXTENSION, SENDER_CONTENT] },
+  LOCK_NOW: { senders: [SENDER_EXTENSION, SENDER_CONTENT] },
+  GET_LOCK_STATE: { senders: [SENDER_EXTENSION, SENDER_CONTENT] },
+  CHECK_LOCK_STATUS: { senders: [SENDER_EXTENSION, SENDER_CONTENT] },
+  OPEN_VAULT: { senders: [SENDER_EXTENSION, SENDER_CONTENT] },
+
+  // Page notes (in-page editor)
+  GET_PAGE_NOTE: { senders: [SENDER_EXTENSION, SENDER_CONTENT], pageBound: true },
+  SAVE_PAGE_NOTE: { senders: [SENDER_EXTENSION, SENDER_CONTENT], pageBound: true },
+  DELETE_PAGE_NOTE: { senders: [SENDER_EXTENSION, SENDER_CONTENT], pageBound: true },
+
+  // Vault access
+  GET_POPUP_STATE: { senders: [SENDER_EXTENSION] },
+  CREATE_NOTE: { senders: [SENDER_EXTENSION] },
+  GET_NOTE: { senders: [SENDER_EXTENSION] },
+  UPDATE_NOTE: { senders: [SENDER_EXTENSION] },
+  DELETE_NOTE: { senders: [SENDER_EXTENSION] },
+  GET_ALL_NOTES: { senders: [SENDER_EXTENSION] },
+  SAVE_NOTE: { senders: [SENDER_EXTENSION] },
+  LIST_REVISIONS: { senders: [SENDER_EXTENSION] },
+  RESTORE_REVISION: { senders: [SENDER_EXTENSION] },
+  LIST_TRASH: { senders: [SENDER_EXTENSION] },
+  // Content scripts can undo deleting a note of their own page
+  RESTORE_NOTE: { senders: [SENDER_EXTENSION, SENDER_CONTENT], pageBound: true },
+  PURGE_TRASH: { senders: [SENDER_EXTENSION] },
+
+  // Settings (contain the PIN hash)
+  GET_SETTINGS: { senders: [SENDER_EXTENSION] },
+  UPDATE_SETTINGS: { senders: [SENDER_EXTENSION] },
+  SAVE_SETTINGS: { senders: [SENDER_EXTENSION] },
+
+  // Key-related and destructive operations
+  SET_PIN: { senders: [SENDER_EXTENSION] },
+  CHANGE_PIN: { senders: [SENDER_EXTENSION] },
+  SET_SECURITY_LEVEL: { senders: [SENDER_EXTENSION] },
+  GET_REENCRYPT_JOB: { senders: [SENDER_EXTENSION] },
+  CANCEL_REENCRYPT_JOB: { senders: [SENDER_EXTENSION] },
+  RESUME_REENCRYPT_JOB: { senders: [SENDER_EXTENSION] },
+  ROTATE_DATA_KEY: { senders: [SENDER_EXTENSION] },
+  VERIFY_VAULT: { senders: [SENDER_EXTENSION] },
+  GET_STORAGE_USAGE: { senders: [SENDER_EXTENSION] },
+  GET_RECOVERY_STATUS: { senders: [SENDER_EXTENSION] },
+  REGENERATE_RECOVERY_CODE: { senders: [SENDER_EXTENSION] },
+  DISABLE_RECOVERY: { senders: [SENDER_EXTENSION] },
+  RECOVER_VAULT: { senders: [SENDER_EXTENSION] },
+  VERIFY_PIN: { senders: [SENDER_EXTENSION] },
+  ENCRYPT_DATA: { senders: [SENDER_EXTENSION] },
+  DECRYPT_DATA: { senders: [SENDER_EXTENSION] },
+  EXPORT_NOTES: { senders: [SENDER_EXTENSION] },
+  IMPORT_NOTES: { senders: [SENDER_EXTENSION] },
+  CLEAR_NOTES: { senders: [SENDER_EXTENSION] },
+};
+
+const MAX_DIAGNOSTIC_ENTRIES = 100;
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('[QuietNote] Message received:', request.type);
+  console.log('[QuietNote] Message received:', request?.type);
+
+  const rejection = checkMessageCapability(request, sender);
+  if (rejection) {
+    console.warn('[QuietNote] Blocked message:', request?.type, rejection);
+    logRejectedMessage(request, sender, rejection);
+    sendResponse({ success: false, error: rejection });
+    return true;
+  }
 
-  // Validate message type
-  if (!ALLOWED_MESSAGES.includes(request.type)) {
-    console.warn('[QuietNote] Blocked unauthorized message:', request.type);
-    sendResponse({ success: false, error: 'Unauthorized message type' });
+  // Validate payload against its schema (background/validation.js)
+  const validationError = validateMessage(request);
+  if (validationError) {
+    console.warn('[QuietNote] Rejected invalid payload:', request.type, validationError.details);
+    sendResponse(validationError);
     return true;
   }
 
@@ -112,18 +259,99 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
+/**
+ * Classify a message sender as SENDER_EXTENSION, SENDER_CONTENT or null
+ */
+function getSenderContext(sender) {
+  if (!sender || sender.id !== chrome.runtime.id) {
+    return null;
+  }
+
+  const extensionOrigin = chrome.runtime.getURL('');
+  if (sender.url && sender.url.startsWith(extensionOrigin)) {
+    return SENDER_EXTENSION;
+  }
+
+  if (sender.tab && sender.url && /^https?:|^file:/.test(sender.url)) {
+    return SENDER_CONTENT;
+  }
+
+  return null;
+}
+
+/**
+ * Check a message against MESSAGE_CAPABILITIES
+ * Returns null when allowed, otherwise the rejection reason
+ */
+function checkMessageCapability(request, sender) {
+  const capability = MESSAGE_CAPABILITIES[request?.type];
+  if (!capability) {
+    return 'Unauthorized message type';
+  }
+
+  const context = getSenderContext(sender);
+  if (!context || !capability.senders.includes(context)) {
+    return 'Sender not allowed for this message type';
+  }
+
+  if (capability.pageBound && context === SENDER_CONTENT) {
+    const senderPage = normalizeUrl(sender.tab.url || sender.url);
+    if (typeof request.url !== 'string' || normalizeUrl(request.url) !== senderPage) {
+      return 'Content scripts may only access notes for their own page';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record a rejected message in the diagnostics store
+ * Only the sender's origin is kept so the log does not record browsing history
+ */
+async function logRejectedMessage(request, sender, reason) {
+  try {
+    let origin = null;
+    try {
+      origin = sender?.url ? new URL(sender.url).origin : null;
+    } catch {
+      origin = null;
+    }
+
+    const { diagnostics = {} } = await storage.get(['diagnostics']);
+    const rejectedMessages = [
+      ...(diagnostics.rejectedMessages || []),
+      {
+        type: typeof request?.type === 'string' ? request.type.slice(0, 64) : null,
+        reason,
+        origin,
+        fromTab: !!sender?.tab,
+        timestamp: Date.now(),
+      },
+    ].slice(-MAX_DIAGNOSTIC_ENTRIES);
+
+    await storage.set({
+      diagnostics: { ...diagnostics, rejectedMessages },
+    });
+  } catch (error) {
+    console.error('[QuietNote] Failed to log rejected message:', error);
+  }
+}
+
 /**
  * Handle different message types
  */
 async function handleMessage(request, sender, sendResponse) {
   try {
+    // Key and lock state may still be loading after a worker restart
+    await sessionReady;
+
     switch (request.type) {
       case 'GET_SETTINGS':
-        handleGetSettings(sendResponse);
+        await handleGetSettings(sendResponse);
         break;
 
       case 'UPDATE_SETTINGS':
-        handleUpdateSettings(request, sendResponse);
+        await handleUpdateSettings(request, sendResponse);
         break;
 
       case 'UNLOCK':
@@ -131,7 +359,8 @@ async function handleMessage(request, sender, sendResponse) {
         break;
 
       case 'LOCK':
-        handleLock(sendResponse);
+      case 'LOCK_NOW':
+        await handleLock(sendResponse);
         break;
 
       case 'GET_LOCK_STATE':
@@ -158,14 +387,82 @@ async function handleMessage(request, sender, sendResponse) {
         await handleDeleteNote(request, sendResponse);
         break;
 
+      case 'LIST_REVISIONS':
+        await handleListRevisions(request, sendResponse);
+        break;
+
+      case 'RESTORE_REVISION':
+        await handleRestoreRevision(request, sendResponse);
+        break;
+
+      case 'LIST_TRASH':
+        await handleListTrash(sendResponse);
+        break;
+
+      case 'RESTORE_NOTE':
+        await handleRestoreNote(request, sendResponse);
+        break;
+
+      case 'PURGE_TRASH':
+        await handlePurgeTrash(request, sendResponse);
+        break;
+
       case 'SET_PIN':
         await handleSetPIN(request, sendResponse);
         break;
 
+      case 'CHANGE_PIN':
+        await handleChangePIN(request, sendResponse);
+        break;
+
+      case 'SET_SECURITY_LEVEL':
+        await handleSetSecurityLevel(request, sendResponse);
+        break;
+
+      case 'GET_REENCRYPT_JOB':
+        await handleGetReencryptJob(sendResponse);
+        break;
+
+      case 'CANCEL_REENCRYPT_JOB':
+        await handleCancelReencryptJob(sendResponse);
+        break;
+
+      case 'RESUME_REENCRYPT_JOB':
+        await handleResumeReencryptJob(sendResponse);
+        break;
+
+      case 'ROTATE_DATA_KEY':
+        await handleRotateDataKey(request, sendResponse);
+        break;
+
+      case 'VERIFY_VAULT':
+        await handleVerifyVault(request, sendResponse);
+        break;
+
+      case 'GET_STORAGE_USAGE':
+        await handleGetStorageUsage(sendResponse);
+        break;
+
       case 'VERIFY_PIN':
         await handleVerifyPIN(request, sendResponse);
         break;
 
+      case 'GET_RECOVERY_STATUS':
+        await handleGetRecoveryStatus(sendResponse);
+        break;
+
+      case 'REGENERATE_RECOVERY_CODE':
+        await handleRegenerateRecoveryCode(sendResponse);
+        break;
+
+      case 'DISABLE_RECOVERY':
+        await handleDisableRecovery(sendResponse);
+        break;
+
+      case 'RECOVER_VAULT':
+        await handleRecoverVault(request, sendResponse);
+        break;
+
       case 'ENCRYPT_DATA':
         await handleEncryptData(request, sendResponse);
         break;
@@ -186,6 +483,38 @@ async function handleMessage(request, sender, sendResponse) {
         await handleClearNotes(sendResponse);
         break;
 
+      case 'CHECK_LOCK_STATUS':
+        await handleCheckLockStatus(sendResponse);
+        break;
+
+      case 'GET_PAGE_NOTE':
+        await handleGetPageNote(request, sendResponse);
+        break;
+
+      case 'SAVE_PAGE_NOTE':
+        await handleSavePageNote(request, sendResponse);
+        break;
+
+      case 'DELETE_PAGE_NOTE':
+        await handleDeletePageNote(request, sendResponse);
+        break;
+
+      case 'GET_POPUP_STATE':
+        await handleGetPopupState(sendResponse);
+        break;
+
+      case 'OPEN_VAULT':
+        await handleOpenVault(sendResponse);
+        break;
+
+      case 'SAVE_NOTE':
+        await handleSaveNote(request, sendResponse);
+        break;
+
+      case 'SAVE_SETTINGS':
+        await handleSaveSettings(request, sendResponse);
+        break;
+
       default:
         sendResponse({ success: false, error: 'Unknown message type' });
     }
@@ -199,146 +528,118 @@ async function handleMessage(request, sender, sendResponse) {
  * Message Handlers
  */
 
-function handleGetSettings(sendResponse) {
-  chrome.storage.local.get(['settings'], result => {
-    const settings = { ...DEFAULT_SETTINGS, ...result.settings };
-    sendResponse({ success: true, settings });
-  });
+async function handleGetSettings(sendResponse) {
+  try {
+    sendResponse({ success: true, settings: await getSettings() });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
 }
 
-function handleUpdateSettings(request, sendResponse) {
-  chrome.storage.local.get(['settings'], result => {
-    const current = { ...DEFAULT_SETTINGS, ...result.settings };
-    const updated = { ...current, ...request.settings };
-    chrome.storage.local.set({ settings: updated }, () => {
-      sendResponse({ success: true });
-      // Auto-lock if timer changed
-      if (request.settings.autoLockTimer !== undefined) {
-        scheduleAutoLock(updated.autoLockTimer);
-      }
-    });
-  });
+/**
+ * UPDATE_SETTINGS { settings }
+ * Partial update. securityLevel and the settings it owns are ignored here;
+ * they change with SET_SECURITY_LEVEL.
+ */
+async function handleUpdateSettings(request, sendResponse) {
+  const { securityLevel, encryptionEnabled, requirePIN, ...changes } = request.settings;
+
+  try {
+    const updated = { ...await getSettings(), ...changes };
+    await storage.set({ settings: updated });
+    sendResponse({ success: true });
+    // Auto-lock if timer changed
+    if (request.settings.autoLockTimer !== undefined) {
+      scheduleAutoLock(updated.autoLockTimer);
+    }
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
 }
 
 async function handleUnlock(request, sendResponse) {
   try {
     const { pin } = request;
+    const settings = await getSettings();
 
-    // Verify PIN
-    const hash = await hashData(pin);
-    chrome.storage.local.get(['settings'], async result => {
-      const settings = { ...DEFAULT_SETTINGS, ...result.settings };
-
-      if (settings.pinHash && hash !== settings.pinHash) {
-        sendResponse({ success: false, error: 'Invalid PIN' });
-        return;
-      }
-
-      // Derive encryption key
-      let salt;
-      await new Promise(resolve => {
-        chrome.storage.local.get(['encryptionSalt'], result => {
-          salt = result.encryptionSalt
-            ? base64ToArrayBuffer(result.encryptionSalt)
-            : undefined;
-          resolve();
-        });
-      });
-
-      const { key, newSalt } = await derivePINKey(pin, salt);
-      encryptionKey = key;
-      encryptionSalt = newSalt;
+    // A new vault is only created by SET_PIN, from extension pages, which
+    // enforces the secret policy and can create a recovery code
+    if (!await hasVaultKey()) {
+      sendResponse({ success: false, code: 'NO_PIN', error: 'Set a PIN in QuietNote settings first' });
+      return;
+    }
 
-      // Store salt if new
-      if (!salt) {
-        chrome.storage.local.set({
-          encryptionSalt: arrayBufferToBase64(newSalt),
-        });
-      }
+    // Verify PIN (rate limited) and unwrap the data key
+    let verification;
+    const attempt = await checkPINAttempt(settings, async () => {
+      verification = await verifyPIN(pin, settings);
+      return verification.valid;
+    });
+    if (!attempt.success) {
+      sendResponse(attempt);
+      return;
+    }
 
-      // Update lock state
-      lockState = { locked: false, lastUnlock: Date.now() };
-      chrome.storage.local.set({ lockState });
+    // A legacy vault keyed directly by the PIN, or a wrap made with older
+    // KDF parameters: (re-)wrap the data key with the current ones while we
+    // have the secret
+    if (verification.needsWrap) {
+      await storeWrappedKey('pin', await wrapSecret(verification.rawKey, pin, verification.kind, settings));
+    }
 
-      // Schedule auto-lock
-      scheduleAutoLock(settings.autoLockTimer);
+    await startSession(verification, settings);
 
-      sendResponse({ success: true });
-    });
+    sendResponse({ success: true });
+    broadcastLockEvent();
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
 }
 
-function handleLock(sendResponse) {
-  encryptionKey = null;
-  lockState = { locked: true, lastUnlock: 0 };
-  chrome.storage.local.set({ lockState });
-
-  // Cancel auto-lock timer
-  if (autoLockTimer) {
-    clearTimeout(autoLockTimer);
-    autoLockTimer = null;
-  }
-
+async function handleLock(sendResponse) {
+  await lockVault();
   sendResponse({ success: true });
 }
 
 function handleGetLockState(sendResponse) {
-  chrome.storage.local.get(['lockState'], result => {
-    const state = result.lockState || lockState;
-    sendResponse({ success: true, ...state });
-  });
+  // In-memory state is authoritative once the session has been restored
+  sendResponse({ success: true, ...lockState });
 }
 
 async function handleCreateNote(request, sendResponse) {
   try {
     const { note } = request;
 
-    // Use new schema: pageURL instead of url
-    const noteKey = note.pageURL
-      ? `note:${note.pageURL}:${note.id}`
-      : `note:${note.id}`;
-
-    let contentToStore = note.content;
-    let titleToStore = note.title;
-    let contentEncryptionMetadata = null;
-    let titleEncryptionMetadata = null;
-
-    // Encrypt if enabled and unlocked
-    if (encryptionKey) {
-      const encryptedContent = await encryptAESGCM(note.content, encryptionKey, encryptionSalt);
-      const encryptedTitle = await encryptAESGCM(note.title, encryptionKey, encryptionSalt);
-      contentToStore = encryptedContent.ciphertext;
-      titleToStore = encryptedTitle.ciphertext;
-      contentEncryptionMetadata = encryptedContent;
-      titleEncryptionMetadata = encryptedTitle;
-    }
-
     // Create note with new v2 schema
-    const storedNote = {
+    const plainNote = {
       id: note.id,
       createdAt: note.createdAt || Date.now(),
       updatedAt: Date.now(),
-      title: titleToStore,
-      content: contentToStore,
+      title: note.title,
+      content: note.content,
       color: note.color || '#FFF9E6',
       position: note.position || DEFAULT_POSITIONS['top-right'],
       size: note.size || DEFAULT_SIZES['medium'],
       pageURL: note.pageURL || null,
       masked: note.masked || false,
+      revision: 1,
       _metadata: {
         tags: note.tags,
         pinned: note.pinned,
-        encrypted: !!encryptionKey,
-        contentEncryptionMetadata,
-        titleEncryptionMetadata,
       },
     };
 
-    chrome.storage.local.set({ [noteKey]: storedNote }, () => {
-      sendResponse({ success: true, id: note.id });
-    });
+    const settings = await getSettings();
+    const encrypt = shouldEncryptNote(!!plainNote.pageURL, settings);
+    if (encrypt && !encryptionKey) {
+      await deferLockedWrite(handleCreateNote, request, sendResponse);
+      return;
+    }
+
+    const storedNote = await sealNote(plainNote, encrypt);
+
+    await storage.set({ [storedNoteKey(storedNote)]: storedNote });
+    sendResponse({ success: true, id: note.id, revision: plainNote.revision });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
@@ -347,346 +648,2874 @@ async function handleCreateNote(request, sendResponse) {
 async function handleGetNote(request, sendResponse) {
   try {
     const { id, pageURL } = request;
-    const noteKey = pageURL
-      ? `note:${pageURL}:${id}`
-      : `note:${id}`;
+    const storedNote = await findStoredNote(id, pageURL || null);
 
-    chrome.storage.local.get([noteKey], async result => {
-      const note = result[noteKey];
-
-      if (!note) {
-        sendResponse({ success: false, error: 'Note not found' });
-        return;
-      }
+    if (!storedNote) {
+      sendResponse({ success: false, error: 'Note not found' });
+      return;
+    }
 
-      // Decrypt if needed
-      if (note._metadata?.encrypted && encryptionKey) {
-        try {
-          // Decrypt content
-          if (note._metadata.contentEncryptionMetadata) {
-            const decryptedContent = await decryptAESGCM(
-              note._metadata.contentEncryptionMetadata,
-              encryptionKey
-            );
-            note.content = decryptedContent;
-          }
-
-          // Decrypt title
-          if (note._metadata.titleEncryptionMetadata) {
-            const decryptedTitle = await decryptAESGCM(
-              note._metadata.titleEncryptionMetadata,
-              encryptionKey
-            );
-            note.title = decryptedTitle;
-          }
-        } catch (error) {
-          sendResponse({
-            success: false,
-            error: `Decryption failed: ${error.message}`,
-          });
-          return;
-        }
-      }
+    let note;
+    try {
+      note = await decryptNoteFields(storedNote);
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: `Decryption failed: ${error.message}`,
+      });
+      return;
+    }
 
-      sendResponse({ success: true, note });
-    });
+    sendResponse({ success: true, note });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
 }
 
+/**
+ * GET_ALL_NOTES { pageURL?, offset?, limit?, fields? }
+ * Notes newest first. pageURL keeps the notes of one page (normalized like
+ * saved notes), offset and limit select a page of the result, and fields
+ * projects each note onto the named fields ('preview' is the start of the
+ * content).
+ * Response: {
+ *   success: true,
+ *   notes: Note[],
+ *   total: number,       // matching notes before offset and limit
+ *   unreadable: number,  // notes that failed to decrypt (see VERIFY_VAULT)
+ * }
+ * Fails with code LOCKED while the vault is locked.
+ */
 async function handleGetAllNotes(request, sendResponse) {
   try {
-    const { pageURL } = request;
-
-    chrome.storage.local.get(null, async result => {
-      const notes = [];
-
-      for (const [key, value] of Object.entries(result)) {
-        if (!key.startsWith('note:')) continue;
-
-        const note = value;
-
-        // Filter by pageURL if provided
-        if (pageURL && note.pageURL !== pageURL) continue;
-
-        // Decrypt if needed
-        if (note._metadata?.encrypted && encryptionKey) {
-          try {
-            // Decrypt content
-            if (note._metadata.contentEncryptionMetadata) {
-              const decryptedContent = await decryptAESGCM(
-                note._metadata.contentEncryptionMetadata,
-                encryptionKey
-              );
-              note.content = decryptedContent;
-            }
-
-            // Decrypt title
-            if (note._metadata.titleEncryptionMetadata) {
-              const decryptedTitle = await decryptAESGCM(
-                note._metadata.titleEncryptionMetadata,
-                encryptionKey
-              );
-              note.title = decryptedTitle;
-            }
-          } catch (error) {
-            console.warn(`[QuietNote] Failed to decrypt note ${note.id}:`, error);
-            continue;
-          }
-        }
-
-        notes.push(note);
-      }
-
-      sendResponse({ success: true, notes });
-    });
+    if (isVaultLocked(getSecurityPolicy(await getSettings()))) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Notes are locked' });
+      return;
+    }
+    sendResponse({ success: true, ...await queryNotes(request) });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
 }
 
+/**
+ * UPDATE_NOTE { note, baseRevision? }
+ * Every update increments the note's revision counter. baseRevision is the
+ * revision the edit started from; when the note has been changed since,
+ * and the text differs, nothing is written and the caller gets both
+ * versions to resolve:
+ *   {
+ *     success: false,
+ *     code: 'CONFLICT',
+ *     current: Note,                          // as stored now
+ *     attempted: Note,                        // the edit that was refused
+ *     merged: { title, content },             // both edits combined (merge.js)
+ *   }
+ * Sending the edit again with current.revision overwrites; without
+ * baseRevision the last write wins.
+ * Response: { success: true, revision }
+ */
 async function handleUpdateNote(request, sendResponse) {
   try {
-    const { note } = request;
-    const noteKey = note.pageURL
-      ? `note:${note.pageURL}:${note.id}`
-      : `note:${note.id}`;
+    const { note, baseRevision } = request;
 
     // Get existing note
-    chrome.storage.local.get([noteKey], async result => {
-      const existingNote = result[noteKey];
+    const existingNote = await findStoredNote(note.id, note.pageURL || null);
 
-      if (!existingNote) {
-        sendResponse({ success: false, error: 'Note not found' });
-        return;
-      }
-
-      let contentToStore = note.content;
-      let titleToStore = note.title;
-      let contentEncryptionMetadata = existingNote._metadata?.contentEncryptionMetadata;
-      let titleEncryptionMetadata = existingNote._metadata?.titleEncryptionMetadata;
-
-      // Encrypt if enabled and unlocked
-      if (encryptionKey) {
-        const encryptedContent = await encryptAESGCM(note.content, encryptionKey, encryptionSalt);
-        const encryptedTitle = await encryptAESGCM(note.title, encryptionKey, encryptionSalt);
-        contentToStore = encryptedContent.ciphertext;
-        titleToStore = encryptedTitle.ciphertext;
-        contentEncryptionMetadata = encryptedContent;
-        titleEncryptionMetadata = encryptedTitle;
-      }
+    if (!existingNote) {
+      sendResponse({ success: false, error: 'Note not found' });
+      return;
+    }
 
-      // Update note preserving structure
-      const updatedNote = {
-        ...existingNote,
-        updatedAt: Date.now(),
-        title: titleToStore,
-        content: contentToStore,
-        color: note.color !== undefined ? note.color : existingNote.color,
-        position: note.position !== undefined ? note.position : existingNote.position,
-        size: note.size !== undefined ? note.size : existingNote.size,
-        masked: note.masked !== undefined ? note.masked : existingNote.masked,
-        _metadata: {
-          ...existingNote._metadata,
-          tags: note.tags !== undefined ? note.tags : existingNote._metadata?.tags,
-          pinned: note.pinned !== undefined ? note.pinned : existingNote._metadata?.pinned,
-          encrypted: !!encryptionKey,
-          contentEncryptionMetadata,
-          titleEncryptionMetadata,
+    // Fields other than title and content live in the envelope, and the
+    // update itself may need encrypting
+    const settings = await getSettings();
+    const isPageNote = !!(existingNote.pageId || existingNote.pageURL);
+    const encrypt = shouldEncryptNote(isPageNote, settings);
+    if ((existingNote._metadata?.encrypted || encrypt) && !encryptionKey) {
+      await deferLockedWrite(handleUpdateNote, request, sendResponse);
+      return;
+    }
+    const { note: existing } = await openNote(existingNote);
+    const revision = existing.revision ?? 0;
+
+    if (
+      baseRevision !== undefined &&
+      baseRevision !== revision &&
+      (existing.title !== note.title || existing.content !== note.content)
+    ) {
+      const current = toNote(existing);
+      sendResponse({
+        success: false,
+        code: 'CONFLICT',
+        error: 'This note was changed elsewhere',
+        current,
+        attempted: { ...current, ...note },
+        merged: {
+          title: note.title || existing.title,
+          content: mergeText(existing.content, note.content),
         },
-      };
-
-      chrome.storage.local.set({ [noteKey]: updatedNote }, () => {
-        sendResponse({ success: true });
       });
-    });
+      return;
+    }
+
+    // Keep the version being replaced, before it is overwritten
+    if (existing.title !== note.title || existing.content !== note.content) {
+      await recordRevision(existing, isPageNote, encrypt, settings);
+    }
+
+    // Update note preserving structure
+    const updatedNote = {
+      ...existing,
+      updatedAt: Date.now(),
+      title: note.title,
+      content: note.content,
+      color: note.color !== undefined ? note.color : existing.color,
+      position: note.position !== undefined ? note.position : existing.position,
+      size: note.size !== undefined ? note.size : existing.size,
+      masked: note.masked !== undefined ? note.masked : existing.masked,
+      revision: revision + 1,
+      _metadata: {
+        tags: note.tags !== undefined ? note.tags : existing._metadata?.tags,
+        pinned: note.pinned !== undefined ? note.pinned : existing._metadata?.pinned,
+      },
+    };
+
+    const storedNote = await sealNote(updatedNote, encrypt);
+    await replaceStoredNote(existingNote, storedNote);
+    sendResponse({ success: true, revision: updatedNote.revision });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
 }
 
+/**
+ * Answer a note write that needs the key while locked
+ * The write is kept for the next unlock when there is room, so the caller
+ * only has to prompt for the PIN:
+ *   { success: false, code: 'LOCKED', queued: boolean, secretKind }
+ * When not queued, the caller should send it again after unlocking.
+ */
+async function deferLockedWrite(handler, request, sendResponse) {
+  const queued = pendingWrites.length < MAX_PENDING_WRITES;
+  if (queued) {
+    pendingWrites.push({ handler, request });
+  }
+
+  sendResponse({
+    success: false,
+    code: 'LOCKED',
+    queued,
+    secretKind: await getSecretKind(),
+    error: queued ? 'Unlock QuietNote to finish saving' : 'Notes are locked',
+  });
+}
+
+/**
+ * Replay writes deferred while locked, oldest first
+ */
+async function flushPendingWrites() {
+  const writes = pendingWrites;
+  pendingWrites = [];
+
+  for (const { handler, request } of writes) {
+    let conflict = null;
+    await handler(request, response => {
+      if (response.code === 'CONFLICT') {
+        conflict = response;
+      } else if (!response.success) {
+        console.warn('[QuietNote] Failed to save a note written while locked:', response.error);
+      }
+    });
+
+    // Nobody is left to resolve it, so keep both versions
+    if (conflict) {
+      const { id, createdAt, updatedAt, revision, ...copy } = conflict.attempted;
+      await handleCreateNote({ note: { ...copy, id: crypto.randomUUID() } }, response => {
+        if (!response.success) {
+          console.warn('[QuietNote] Failed to keep a conflicting note written while locked:', response.error);
+        }
+      });
+    }
+  }
+  if (writes.length > 0) {
+    console.log(`[QuietNote] Saved ${writes.length} notes written while locked`);
+  }
+}
+
+/**
+ * DELETE_NOTE { id, pageURL? }
+ * Moves the note to the trash (see Trash).
+ * Response: { success, trashed } - trashed is false when the trash is off
+ * and the note is gone for good; 'Note not found' when no note has the id
+ */
 async function handleDeleteNote(request, sendResponse) {
   try {
     const { id, pageURL } = request;
-    const noteKey = pageURL
-      ? `note:${pageURL}:${id}`
-      : `note:${id}`;
+    const storedNote = await findStoredNote(id, pageURL || null);
 
-    chrome.storage.local.remove([noteKey], () => {
-      sendResponse({ success: true });
-    });
+    if (!storedNote) {
+      sendResponse({ success: false, error: 'Note not found' });
+      return;
+    }
+
+    const trashed = await trashStoredNotes([storedNote]);
+    sendResponse({ success: true, trashed });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * LIST_REVISIONS { id, pageURL? }
+ * Earlier versions of a note, newest first (see Revision history).
+ * Response: { success, revisions: Revision[] }; encrypted history needs an
+ * unlock first: { success: false, code: 'LOCKED' }
+ */
+async function handleListRevisions(request, sendResponse) {
+  try {
+    const { id, pageURL } = request;
+    const storedNote = await findStoredNote(id, pageURL || null);
+
+    if (!storedNote) {
+      sendResponse({ success: false, error: 'Note not found' });
+      return;
+    }
+
+    const record = await getRevisionsRecord(id);
+    if (record?.encrypted && !encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+
+    const revisions = record ? await openRevisions(record) : [];
+    sendResponse({ success: true, revisions: revisions.reverse() });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
 }
 
-async function handleSetPIN(request, sendResponse) {
+/**
+ * RESTORE_REVISION { id, pageURL?, revisionId }
+ * Save a revision as the current version of the note. This is an update
+ * like any other, so the version it replaces joins the history and the
+ * restore can itself be undone.
+ * Response: { success }, or as UPDATE_NOTE
+ */
+async function handleRestoreRevision(request, sendResponse) {
+  try {
+    const { id, pageURL, revisionId } = request;
+    const storedNote = await findStoredNote(id, pageURL || null);
+
+    if (!storedNote) {
+      sendResponse({ success: false, error: 'Note not found' });
+      return;
+    }
+
+    const record = await getRevisionsRecord(id);
+    if (record?.encrypted && !encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+
+    const revisions = record ? await openRevisions(record) : [];
+    const revision = revisions.find(entry => entry.id === revisionId);
+    if (!revision) {
+      sendResponse({ success: false, error: 'Revision not found' });
+      return;
+    }
+
+    const { note } = await openNote(storedNote);
+    const { title, content, color, position, size, masked, tags, pinned } = revision;
+    await handleUpdateNote({
+      note: { id, pageURL: note.pageURL, title, content, color, position, size, masked, tags, pinned },
+    }, sendResponse);
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * LIST_TRASH
+ * Trashed notes, most recently deleted first. expiresAt is when the purge
+ * removes them under the current retention.
+ * Response: {
+ *   success: true,
+ *   notes: { id, pageURL, title, preview, masked, deletedAt, expiresAt }[],
+ *   unreadable: number,
+ * }
+ * Encrypted notes need an unlock first: { success: false, code: 'LOCKED' }
+ */
+async function handleListTrash(sendResponse) {
+  try {
+    const { trashRetention } = await getSettings();
+    const entries = Object.values(await storage.getByPrefix(TRASH_PREFIX));
+
+    if (!encryptionKey && entries.some(entry => entry.note?._metadata?.encrypted)) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+
+    const notes = [];
+    let unreadable = 0;
+    for (const entry of entries) {
+      try {
+        const { note } = await openNote(entry.note);
+        notes.push({
+          ...projectNote(note, ['id', 'pageURL', 'title', 'preview', 'masked']),
+          deletedAt: entry.deletedAt,
+          expiresAt: entry.deletedAt + trashRetention,
+        });
+      } catch {
+        unreadable++;
+      }
+    }
+
+    notes.sort((a, b) => b.deletedAt - a.deletedAt);
+    sendResponse({ success: true, notes, unreadable });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * RESTORE_NOTE { id, url? }
+ * Move a note and its history back out of the trash. Content scripts pass
+ * their page URL and can only restore notes of that page.
+ * Response: { success }
+ */
+async function handleRestoreNote(request, sendResponse) {
+  try {
+    const { id, url } = request;
+    const key = trashKey(id);
+    const entry = (await storage.get([key]))[key];
+
+    if (!entry || (url !== undefined && !(await isTrashedFromPage(entry, normalizeUrl(url))))) {
+      sendResponse({ success: false, error: 'Note not found in trash' });
+      return;
+    }
+    if (await findStoredNote(id)) {
+      sendResponse({ success: false, error: 'A note with this id already exists' });
+      return;
+    }
+
+    const restored = { [storedNoteKey(entry.note)]: entry.note };
+    if (entry.revisions) {
+      restored[revisionsKey(id)] = entry.revisions;
+    }
+    await storage.set(restored);
+    await storage.remove(key);
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * PURGE_TRASH { id? }
+ * Permanently delete one trashed note, or empty the trash.
+ * Response: { success, purged }
+ */
+async function handlePurgeTrash(request, sendResponse) {
+  try {
+    const keys = request.id
+      ? [trashKey(request.id)]
+      : Object.keys(await storage.getByPrefix(TRASH_PREFIX));
+    const existing = Object.keys(await storage.get(keys));
+
+    await storage.remove(existing);
+    sendResponse({ success: true, purged: existing.length });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * SET_PIN { pin, kind?, createRecoveryCode? }
+ * kind is 'pin' (default) or 'passphrase'; pin holds either secret and must
+ * meet the policy for its kind.
+ * Creates the data key for a new vault. Once a vault has a PIN it is only
+ * replaced through CHANGE_PIN, which checks the current one: code PIN_EXISTS.
+ * Response: { success, recoveryCode? } - the code is only ever returned here
+ * and by REGENERATE_RECOVERY_CODE.
+ */
+async function handleSetPIN(request, sendResponse) {
+  try {
+    const { pin, kind = 'pin' } = request;
+    const settings = await getSettings();
+
+    const rejected = checkNewSecret(pin, kind, settings);
+    if (rejected) {
+      sendResponse(rejected);
+      return;
+    }
+
+    if (await hasVaultKey()) {
+      sendResponse({
+        success: false,
+        code: 'PIN_EXISTS',
+        error: 'A PIN is already set; change it with the current PIN',
+      });
+      return;
+    }
+    const rawKey = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.keyLength / 8));
+
+    await storeWrappedKey('pin', await wrapSecret(rawKey, pin, kind, settings));
+
+    const recoveryCode = request.createRecoveryCode
+      ? await createRecoveryCode(rawKey, settings)
+      : undefined;
+    sendResponse({ success: true, recoveryCode });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * CHANGE_PIN { currentPin, newPin, kind? }
+ * Re-wraps the data key under the new PIN; notes are not re-encrypted.
+ * The current PIN is checked with the same rate limit as UNLOCK.
+ */
+async function handleChangePIN(request, sendResponse) {
+  try {
+    const { currentPin, newPin, kind = 'pin' } = request;
+    const settings = await getSettings();
+
+    const rejected = checkNewSecret(newPin, kind, settings);
+    if (rejected) {
+      sendResponse(rejected);
+      return;
+    }
+
+    let verification;
+    const attempt = await checkPINAttempt(settings, async () => {
+      verification = await verifyPIN(currentPin, settings);
+      return verification.valid && verification.hasPIN;
+    });
+    if (!attempt.success) {
+      sendResponse(attempt);
+      return;
+    }
+
+    await storeWrappedKey('pin', await wrapSecret(verification.rawKey, newPin, kind, settings));
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleVerifyPIN(request, sendResponse) {
+  try {
+    const { pin } = request;
+    const settings = await getSettings();
+
+    const attempt = await checkPINAttempt(settings, async () => {
+      const verification = await verifyPIN(pin, settings);
+      // Without a PIN there is nothing to match
+      return verification.valid && verification.hasPIN;
+    });
+
+    if (attempt.code === 'LOCKED_OUT') {
+      sendResponse(attempt);
+      return;
+    }
+    sendResponse({ ...attempt, success: true, valid: attempt.success });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * GET_RECOVERY_STATUS
+ * Response: { success, enabled, createdAt }
+ */
+async function handleGetRecoveryStatus(sendResponse) {
+  try {
+    const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+    const recovery = vaultKeys?.wrappedKeys?.recovery;
+    sendResponse({
+      success: true,
+      enabled: !!recovery,
+      createdAt: recovery?.createdAt || null,
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * REGENERATE_RECOVERY_CODE
+ * Replaces the recovery code (the old one stops working). Requires unlock.
+ * Response: { success, recoveryCode }
+ */
+async function handleRegenerateRecoveryCode(sendResponse) {
+  try {
+    const rawKey = await getSessionDataKey();
+    if (!rawKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+
+    const settings = await getSettings();
+    sendResponse({ success: true, recoveryCode: await createRecoveryCode(rawKey, settings) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * DISABLE_RECOVERY
+ * Deletes the recovery-wrapped data key. Requires unlock.
+ */
+async function handleDisableRecovery(sendResponse) {
+  try {
+    if (!encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+
+    await removeWrappedKey('recovery');
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * VERIFY_VAULT { repair?, keys? }
+ * Checks every stored record (see verifyVault). Encrypted notes are only
+ * checked while unlocked; complete is false when some were skipped.
+ * With repair ('quarantine', 'export' or 'delete') the action is applied to
+ * keys first, which must be reported problems or quarantined records.
+ * Response: {
+ *   success, checked, skipped, complete,
+ *   issues: [{ key, id, problem, detail }],
+ *   quarantined: [{ key, problems, quarantinedAt }],
+ *   repaired?: number,
+ *   data?: string,        // export file contents
+ * }
+ */
+async function handleVerifyVault(request, sendResponse) {
+  try {
+    const { repair, keys } = request;
+    let repaired;
+    let data;
+
+    if (repair) {
+      const before = await verifyVault();
+      const repairable = new Set([
+        ...before.issues.map(issue => issue.key),
+        ...before.quarantined.map(record => record.key),
+      ]);
+      const targets = [...new Set(keys || [])];
+      const unknown = targets.filter(key => !repairable.has(key));
+      if (targets.length === 0 || unknown.length > 0) {
+        sendResponse({ success: false, error: 'Only reported records can be repaired' });
+        return;
+      }
+
+      data = await repairVault(repair, targets) ?? undefined;
+      repaired = targets.length;
+      console.log(`[QuietNote] Vault repair: ${repair} ${repaired} records`);
+    }
+
+    sendResponse({ success: true, ...(await verifyVault()), repaired, data });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * GET_STORAGE_USAGE
+ * Response: {
+ *   success: true,
+ *   bytesInUse: number,
+ *   quotaBytes: number | null,  // null when storage has no fixed quota
+ *   level: 'ok' | 'warning' | 'critical',
+ * }
+ * Writes fail once the quota is reached, so settings warns well before.
+ */
+async function handleGetStorageUsage(sendResponse) {
+  try {
+    const usage = await storage.getUsage();
+    const ratio = usage.quotaBytes ? usage.bytesInUse / usage.quotaBytes : 0;
+    const level = ratio >= STORAGE_CRITICAL_RATIO ? 'critical'
+      : ratio >= STORAGE_WARNING_RATIO ? 'warning'
+        : 'ok';
+    sendResponse({ success: true, ...usage, level });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * GET_REENCRYPT_JOB
+ * Response: { success, job } - job is null when none has run
+ */
+async function handleGetReencryptJob(sendResponse) {
+  try {
+    sendResponse({ success: true, job: await getReencryptJob() });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * CANCEL_REENCRYPT_JOB
+ * Stops the job after the current batch. Notes already converted stay
+ * converted; the rest keep their current form until the job is resumed.
+ * Response: { success, job }
+ */
+async function handleCancelReencryptJob(sendResponse) {
+  try {
+    const job = await getReencryptJob();
+    if (job?.status !== 'running' && job?.status !== 'paused') {
+      sendResponse({ success: false, error: 'No re-encryption in progress' });
+      return;
+    }
+
+    sendResponse({ success: true, job: await updateReencryptJob(job.id, { status: 'cancelled' }) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * RESUME_REENCRYPT_JOB
+ * Restarts a cancelled or paused job. Requires unlock.
+ * Response: { success, job }
+ */
+async function handleResumeReencryptJob(sendResponse) {
+  try {
+    const job = await getReencryptJob();
+    if (job?.status !== 'cancelled' && job?.status !== 'paused') {
+      sendResponse({ success: false, error: 'No re-encryption to resume' });
+      return;
+    }
+    if (!encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+
+    const resumed = await updateReencryptJob(job.id, { status: 'running' });
+    runReencryptJob();
+    sendResponse({ success: true, job: resumed });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * ROTATE_DATA_KEY { pin }
+ * Replaces the data key with a new random one and starts the re-encryption
+ * job that reseals every note with it. The PIN is re-wrapped for the new
+ * key; the old key stays in vaultKeys.previousKey, wrapped with the new
+ * one, until the job has resealed every note. An existing recovery code
+ * stops working and a new one is returned. Requires unlock; the PIN is
+ * checked with the same rate limit as UNLOCK.
+ * Response: { success, job, recoveryCode? }
+ */
+async function handleRotateDataKey(request, sendResponse) {
+  try {
+    if (!encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Encryption not unlocked' });
+      return;
+    }
+    if (previousKeys) {
+      sendResponse({ success: false, error: 'Finish re-encrypting with the current key first' });
+      return;
+    }
+
+    const settings = await getSettings();
+    let verification;
+    const attempt = await checkPINAttempt(settings, async () => {
+      verification = await verifyPIN(request.pin, settings);
+      return verification.valid && verification.hasPIN;
+    });
+    if (!attempt.success) {
+      sendResponse(attempt);
+      return;
+    }
+
+    const rawKey = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.keyLength / 8));
+    const key = await importAESKey(rawKey);
+    const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+    const kdf = getKdfPreset(settings.keyDerivation);
+
+    const wrappedKeys = {
+      pin: await wrapSecret(rawKey, request.pin, verification.kind, settings),
+    };
+    let recoveryCode;
+    if (vaultKeys?.wrappedKeys?.recovery) {
+      recoveryCode = generateRecoveryCode();
+      wrappedKeys.recovery = await wrapDataKey(rawKey, normalizeRecoveryCode(recoveryCode), kdf);
+    }
+
+    // One write, so the vault never has a PIN for one key and notes for another
+    await storage.set({
+      [VAULT_KEYS_KEY]: {
+        ...vaultKeys,
+        wrappedKeys,
+        previousKey: await encryptAESGCM(arrayBufferToBase64(verification.rawKey), key),
+      },
+    });
+    await startSession({ key, rawKey, salt: verification.salt }, settings);
+
+    const job = await startReencryptJob('key-rotation');
+    console.log('[QuietNote] Data key rotated');
+    sendResponse({ success: true, job, recoveryCode });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * RECOVER_VAULT { recoveryCode, newPin, kind? }
+ * Unwraps the data key with the recovery code, wraps it for the new PIN and
+ * unlocks. Guesses count against the same rate limit as PIN attempts.
+ */
+async function handleRecoverVault(request, sendResponse) {
+  try {
+    const { recoveryCode, newPin, kind = 'pin' } = request;
+    const settings = await getSettings();
+
+    const rejected = checkNewSecret(newPin, kind, settings);
+    if (rejected) {
+      sendResponse(rejected);
+      return;
+    }
+
+    const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+    const wrapped = vaultKeys?.wrappedKeys?.recovery;
+
+    if (!wrapped) {
+      sendResponse({ success: false, error: 'No recovery code is set up for this vault' });
+      return;
+    }
+
+    let dataKey;
+    const attempt = await checkPINAttempt(settings, async () => {
+      dataKey = await unwrapDataKey(wrapped, normalizeRecoveryCode(recoveryCode));
+      return !!dataKey;
+    });
+    if (!attempt.success) {
+      sendResponse(attempt);
+      return;
+    }
+
+    await storeWrappedKey('pin', await wrapSecret(dataKey.rawKey, newPin, kind, settings));
+    await startSession(dataKey, settings);
+
+    sendResponse({ success: true });
+    broadcastLockEvent();
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleEncryptData(request, sendResponse) {
+  try {
+    if (!encryptionKey) {
+      sendResponse({
+        success: false,
+        error: 'Encryption not unlocked',
+      });
+      return;
+    }
+
+    const encrypted = await encryptAESGCM(
+      request.data,
+      encryptionKey,
+      encryptionSalt
+    );
+    sendResponse({ success: true, encrypted });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleDecryptData(request, sendResponse) {
+  try {
+    if (!encryptionKey) {
+      sendResponse({
+        success: false,
+        error: 'Encryption not unlocked',
+      });
+      return;
+    }
+
+    const decrypted = await decryptAESGCM(request.encrypted, encryptionKey);
+    sendResponse({ success: true, decrypted });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleExportNotes(sendResponse) {
+  try {
+    const notes = Object.values(await storage.getByPrefix('note:'));
+
+    const exportData = {
+      version: '2.0',
+      exportedAt: new Date().toISOString(),
+      encrypted: !!encryptionKey,
+      notes,
+    };
+
+    sendResponse({
+      success: true,
+      data: JSON.stringify(exportData, null, 2),
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * IMPORT_NOTES { data }
+ * Stores exported notes as they are, except that unencrypted notes are
+ * encrypted when the security level calls for it, so importing needs an
+ * unlock (code LOCKED) in that case.
+ */
+async function handleImportNotes(request, sendResponse) {
+  try {
+    const data = JSON.parse(request.data);
+    const notes = data.notes || [];
+    const settings = await getSettings();
+
+    const toSeal = notes.filter(note =>
+      !note._metadata?.encrypted && shouldEncryptNote(!!note.pageURL, settings)
+    );
+    if (toSeal.length > 0 && !encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Unlock QuietNote before importing' });
+      return;
+    }
+
+    const importedNotes = {};
+    for (const note of notes) {
+      const storedNote = toSeal.includes(note)
+        ? await sealNote((await openNote(note)).note, true)
+        : note;
+      importedNotes[storedNoteKey(storedNote)] = storedNote;
+    }
+
+    await storage.set(importedNotes);
+    sendResponse({ success: true, count: notes.length });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * CLEAR_NOTES
+ * Moves every note to the trash (see Trash); records that are not notes
+ * are removed.
+ * Response: { success, cleared, trashed }
+ */
+async function handleClearNotes(sendResponse) {
+  try {
+    const noteEntries = Object.entries(await storage.getByPrefix('note:'));
+    const storedNotes = noteEntries
+      .filter(([key, note]) => typeof note?.id === 'string' && storedNoteKey(note) === key)
+      .map(([, note]) => note);
+
+    const trashed = storedNotes.length > 0 && await trashStoredNotes(storedNotes);
+    const revisionKeys = Object.keys(await storage.getByPrefix(REVISIONS_PREFIX));
+    await storage.remove([...noteEntries.map(([key]) => key), ...revisionKeys]);
+    sendResponse({ success: true, cleared: noteEntries.length, trashed });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Page Note Handlers
+ * Used by the content script's floating button. A page can hold several
+ * notes; they are looked up by normalized pageURL and stored through
+ * handleCreateNote/handleUpdateNote so they share the session key.
+ */
+
+/**
+ * CHECK_LOCK_STATUS
+ * Response: { success, locked, secretKind } - locked means page notes need
+ * an unlock first (never at levels that show them while locked);
+ * secretKind ('pin' or 'passphrase') tells unlock prompts which input to show.
+ */
+async function handleCheckLockStatus(sendResponse) {
+  const policy = getSecurityPolicy(await getSettings());
+  sendResponse({
+    success: true,
+    locked: isVaultLocked(policy) && !policy.pageNotesWhileLocked,
+    secretKind: await getSecretKind(),
+  });
+}
+
+/**
+ * GET_PAGE_NOTE { url }
+ * Response: {
+ *   success: true,
+ *   pageURL: string,
+ *   notes: Note[],        // decrypted, most recently updated first
+ *   note: Note | null,    // notes[0], the note the in-page editor opens
+ *   mask: boolean,        // settings.maskNoteText
+ * }
+ * Fails with { success: false, locked: true } when the vault is locked,
+ * unless the security level shows page notes while locked; then only the
+ * unencrypted notes are returned.
+ */
+async function handleGetPageNote(request, sendResponse) {
+  try {
+    const pageURL = normalizeUrl(request.url);
+    const settings = await getSettings();
+    const policy = getSecurityPolicy(settings);
+    let storedNotes = await getStoredPageNotes(pageURL);
+
+    if (!encryptionKey) {
+      // While locked, sealed notes cannot be matched to a page at all
+      if (
+        !policy.pageNotesWhileLocked &&
+        (await hasVaultKey() || storedNotes.some(note => note._metadata?.encrypted))
+      ) {
+        sendResponse({ success: false, locked: true, error: 'Notes are locked' });
+        return;
+      }
+      storedNotes = storedNotes.filter(note => !note._metadata?.encrypted);
+    }
+
+    const notes = [];
+    for (const storedNote of storedNotes) {
+      try {
+        notes.push(await decryptNoteFields(storedNote));
+      } catch (error) {
+        console.warn(`[QuietNote] Failed to decrypt note ${storedNote.id}:`, error);
+      }
+    }
+
+    notes.sort((a, b) => b.updatedAt - a.updatedAt);
+    sendResponse({
+      success: true,
+      pageURL,
+      notes,
+      note: notes[0] || null,
+      mask: !!settings.maskNoteText,
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * SAVE_PAGE_NOTE { url, id?, content, title?, baseRevision? }
+ * Creates a new page note when id is omitted, otherwise updates that note.
+ * Response: {
+ *   success: true, id: string, pageURL: string, created: boolean, revision: number
+ * }
+ * While locked, writes that need the key fail with code LOCKED and are
+ * saved after the next unlock when queued (see deferLockedWrite). An edit
+ * of an outdated baseRevision fails with CONFLICT (see UPDATE_NOTE).
+ */
+async function handleSavePageNote(request, sendResponse) {
+  try {
+    const pageURL = normalizeUrl(request.url);
+    const { id, content } = request;
+
+    if (id) {
+      const existing = (await getStoredPageNotes(pageURL)).find(note => note.id === id);
+      // While locked, sealed notes cannot be matched to the page (or read)
+      // yet; the page is checked again when the write is replayed
+      if ((!existing && !pageIdKey && await hasVaultKey()) ||
+          (existing?._metadata?.encrypted && !encryptionKey)) {
+        await deferLockedWrite(handleSavePageNote, request, sendResponse);
+        return;
+      }
+      if (!existing) {
+        sendResponse({ success: false, error: 'Note not found' });
+        return;
+      }
+
+      // Keep the current title when the in-page editor only sends content
+      const title = request.title !== undefined
+        ? request.title
+        : (await decryptNoteFields(existing)).title;
+
+      await handleUpdateNote(
+        { note: { id, pageURL, content, title }, baseRevision: request.baseRevision },
+        response => sendResponse(response.success
+          ? { success: true, id, pageURL, created: false, revision: response.revision }
+          : response)
+      );
+      return;
+    }
+
+    const newId = crypto.randomUUID();
+    const settings = await getSettings();
+    await handleCreateNote(
+      {
+        note: {
+          id: newId,
+          pageURL,
+          title: request.title || '',
+          content,
+          color: settings.defaultNoteColor,
+          position: DEFAULT_POSITIONS[settings.defaultNotePosition],
+          size: DEFAULT_SIZES[settings.defaultNoteSize],
+        },
+      },
+      response => sendResponse(response.success
+        ? { success: true, id: newId, pageURL, created: true, revision: response.revision }
+        : response)
+    );
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * DELETE_PAGE_NOTE { url, id? }
+ * Moves one note, or every note on the page when id is omitted, to the
+ * trash (see DELETE_NOTE).
+ * Response: { success: true, deleted: number, trashed: boolean }
+ * While locked, sealed notes cannot be matched to the page: unless the note
+ * is found unencrypted, fails with { success: false, code: 'LOCKED',
+ * secretKind } and nothing is deleted. An id that matches no note fails
+ * with 'Note not found'.
+ */
+async function handleDeletePageNote(request, sendResponse) {
+  try {
+    const pageURL = normalizeUrl(request.url);
+    const storedNotes = await getStoredPageNotes(pageURL);
+    const deleted = storedNotes.filter(note => !request.id || note.id === request.id);
+
+    if ((!request.id || deleted.length === 0) && !pageIdKey && await hasVaultKey()) {
+      sendResponse({
+        success: false,
+        code: 'LOCKED',
+        error: 'Notes are locked',
+        secretKind: await getSecretKind(),
+      });
+      return;
+    }
+    if (request.id && deleted.length === 0) {
+      sendResponse({ success: false, error: 'Note not found' });
+      return;
+    }
+
+    const trashed = deleted.length > 0 && await trashStoredNotes(deleted);
+    sendResponse({ success: true, deleted: deleted.length, trashed });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Popup Handlers
+ * Notes are returned in the v2 Note schema (see storage/storage.ts):
+ * personal notes have pageURL === null, page notes a normalized pageURL.
+ */
+
+/**
+ * GET_POPUP_STATE
+ * Response: {
+ *   success: true,
+ *   locked: boolean,
+ *   notes: Note[],        // decrypted; empty while locked
+ *   settings: StorageSettings,
+ *   lastUnlock: number,   // ms timestamp, 0 while locked
+ * }
+ */
+async function handleGetPopupState(sendResponse) {
+  try {
+    const settings = await getSettings();
+    const locked = isVaultLocked(getSecurityPolicy(settings));
+    const notes = [];
+
+    if (!locked) {
+      notes.push(...(await queryNotes()).notes);
+    }
+
+    sendResponse({
+      success: true,
+      locked,
+      notes,
+      settings,
+      lastUnlock: lockState.lastUnlock,
+      secretKind: await getSecretKind(),
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * SAVE_NOTE { id?, content, title?, pageURL?, baseRevision? }
+ * Creates a personal note when id is omitted, otherwise updates the note
+ * with that id (personal or page).
+ * Response: { success: true, id: string, created: boolean, revision: number }
+ * Fails with code LOCKED like SAVE_PAGE_NOTE, and with CONFLICT like
+ * UPDATE_NOTE.
+ */
+async function handleSaveNote(request, sendResponse) {
+  try {
+    const { id, content } = request;
+
+    if (id) {
+      const existing = await findStoredNote(id, request.pageURL);
+      if (!existing) {
+        sendResponse({ success: false, error: 'Note not found' });
+        return;
+      }
+      if (existing._metadata?.encrypted && !encryptionKey) {
+        await deferLockedWrite(handleSaveNote, request, sendResponse);
+        return;
+      }
+
+      const current = await decryptNoteFields(existing);
+      const title = request.title !== undefined ? request.title : current.title;
+
+      await handleUpdateNote(
+        { note: { id, pageURL: current.pageURL, content, title }, baseRevision: request.baseRevision },
+        response => sendResponse(response.success
+          ? { success: true, id, created: false, revision: response.revision }
+          : response)
+      );
+      return;
+    }
+
+    const newId = crypto.randomUUID();
+    const settings = await getSettings();
+    await handleCreateNote(
+      {
+        note: {
+          id: newId,
+          pageURL: null,
+          title: request.title || '',
+          content,
+          color: settings.defaultNoteColor,
+          position: DEFAULT_POSITIONS[settings.defaultNotePosition],
+          size: DEFAULT_SIZES[settings.defaultNoteSize],
+        },
+      },
+      response => sendResponse(response.success
+        ? { success: true, id: newId, created: true, revision: response.revision }
+        : response)
+    );
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * SAVE_SETTINGS { settings }
+ * Same as UPDATE_SETTINGS, but the PIN hash can only be changed via SET_PIN.
+ * Response: { success: true }
+ */
+async function handleSaveSettings(request, sendResponse) {
+  const { pinHash, ...settings } = request.settings || {};
+  await handleUpdateSettings({ settings }, sendResponse);
+}
+
+/**
+ * Find a stored note by id. pageURL narrows the lookup to the note's
+ * sealed and plaintext keys; without it every note key is scanned. While
+ * locked the page id is unknown, so a page note missing from its plaintext
+ * key is also looked up by scanning.
+ */
+async function findStoredNote(id, pageURL) {
+  if (pageURL !== undefined) {
+    const normalized = pageURL ? normalizeUrl(pageURL) : null;
+    const noteKeys = [noteStorageKey(id, normalized)];
+    if (normalized && previousKeys) {
+      noteKeys.unshift(noteStorageKey(id, await getPageId(normalized, previousKeys.pageIdKey)));
+    }
+    if (normalized && pageIdKey) {
+      noteKeys.unshift(noteStorageKey(id, await getPageId(normalized)));
+    }
+    const result = await storage.get(noteKeys);
+    const found = noteKeys.map(key => result[key]).find(Boolean);
+    if (found || !normalized || pageIdKey) {
+      return found || null;
+    }
+  }
+
+  return Object.values(await storage.query('id', id))[0] || null;
+}
+
+/**
+ * Strip storage-only fields, leaving the v2 Note schema
+ */
+function toNote(storedNote) {
+  const { _metadata, ...note } = storedNote;
+  return note;
+}
+
+/**
+ * Get raw (still encrypted) notes stored for a normalized page URL
+ * Sealed notes are indexed under their page id, so only the notes of this
+ * page are read and decrypted.
+ */
+async function getStoredPageNotes(pageURL) {
+  const pageRefs = [pageURL];
+  for (const key of [pageIdKey, previousKeys?.pageIdKey]) {
+    if (key) pageRefs.push(await getPageId(pageURL, key));
+  }
+  const results = await Promise.all(pageRefs.map(pageRef => storage.query('pageURL', pageRef)));
+  return results.flatMap(result => Object.values(result));
+}
+
+/**
+ * Storage key of a note: note:${pageRef}:${id}, or note:${id} for
+ * personal notes. pageRef is the page id of a sealed note, otherwise the
+ * normalized page URL.
+ */
+function noteStorageKey(id, pageRef) {
+  return pageRef ? `note:${pageRef}:${id}` : `note:${id}`;
+}
+
+function storedNoteKey(storedNote) {
+  return noteStorageKey(storedNote.id, storedNote.pageId || storedNote.pageURL);
+}
+
+/**
+ * Write a note over its previous stored form, which may sit under another
+ * key (sealing moves a page note from its URL to its page id)
+ */
+async function replaceStoredNote(previous, storedNote) {
+  const key = storedNoteKey(storedNote);
+  const previousKey = storedNoteKey(previous);
+  await storage.set({ [key]: storedNote });
+  if (previousKey !== key) {
+    await storage.remove(previousKey);
+  }
+}
+
+/**
+ * Return a copy of a stored note with title, content and metadata decrypted.
+ * Throws if the note is encrypted and cannot be decrypted.
+ * Notes in an older stored form are resealed in the background.
+ */
+async function decryptNoteFields(storedNote) {
+  const { note, stale } = await openNote(storedNote);
+
+  if (stale) {
+    resealStoredNote(storedNote, note).catch(error => {
+      console.warn(`[QuietNote] Failed to reseal note ${note.id}:`, error);
+    });
+  }
+
+  return note;
+}
+
+/**
+ * Decrypt a stored note into the v2 Note schema (plus _metadata)
+ * Without the key an encrypted note is returned as stored. A note still
+ * sealed with a rotated-out key is opened with that key and reported stale.
+ */
+async function openNote(storedNote) {
+  if (!storedNote._metadata?.encrypted || !encryptionKey) {
+    return { note: { ...storedNote }, stale: false };
+  }
+
+  try {
+    return { note: await unsealNote(storedNote, encryptionKey), stale: needsReseal(storedNote) };
+  } catch (error) {
+    if (!previousKeys) throw error;
+    return { note: await unsealNote(storedNote, previousKeys.encryptionKey), stale: true };
+  }
+}
+
+async function unsealNote(storedNote, key) {
+  const { pageId, ...note } = storedNote;
+  for (const field of ENCRYPTED_NOTE_FIELDS) {
+    const envelope = storedNote._metadata[`${field}EncryptionMetadata`];
+    if (!envelope) continue;
+
+    const plaintext = await decryptNoteField(envelope, key, note.id, field);
+    if (field === 'metadata') {
+      const { tags, pinned, ...fields } = JSON.parse(plaintext);
+      Object.assign(note, fields);
+      note._metadata = { ...note._metadata, tags, pinned };
+    } else {
+      note[field] = plaintext;
+    }
+  }
+
+  return note;
+}
+
+/**
+ * Whether an encrypted note still has plaintext metadata or version 1
+ * envelopes
+ */
+function needsReseal(storedNote) {
+  const metadata = storedNote._metadata;
+  return !!metadata?.encrypted && !hasLostEnvelope(storedNote) && (
+    !metadata.metadataEncryptionMetadata ||
+    ENCRYPTED_NOTE_FIELDS.some(field => {
+      const envelope = metadata[`${field}EncryptionMetadata`];
+      return envelope && isLegacyEnvelope(envelope);
+    })
+  );
+}
+
+/**
+ * Whether an encrypted note lacks the envelope of its title or content
+ * Such notes are left as they are for VERIFY_VAULT to report; resealing
+ * would turn the unreadable ciphertext into plaintext.
+ */
+function hasLostEnvelope(storedNote) {
+  const metadata = storedNote._metadata;
+  return !!metadata?.encrypted &&
+    (!metadata.titleEncryptionMetadata || !metadata.contentEncryptionMetadata);
+}
+
+/**
+ * Build the stored form of a decrypted note
+ * When encrypting, everything except the id is encrypted: title and content
+ * in their own envelopes, all other fields together in the metadata
+ * envelope, and the page URL is replaced by its page id. Otherwise the
+ * note is stored in the clear. Throws rather than falling back to plaintext
+ * when encrypting without the key.
+ */
+async function sealNote(note, encrypt) {
+  const { id, title, content, _metadata = {}, ...fields } = note;
+  const { tags, pinned } = _metadata;
+
+  if (!encrypt) {
+    return { ...note, _metadata: { tags, pinned, encrypted: false } };
+  }
+  if (!encryptionKey) {
+    throw new Error('Notes are locked');
+  }
+
+  const titleEncryptionMetadata = await encryptNoteField(title, encryptionKey, id, 'title');
+  const contentEncryptionMetadata = await encryptNoteField(content, encryptionKey, id, 'content');
+  const metadataEncryptionMetadata = await encryptNoteField(
+    JSON.stringify({ ...fields, tags, pinned }),
+    encryptionKey,
+    id,
+    'metadata'
+  );
+
+  return {
+    id,
+    pageId: fields.pageURL ? await getPageId(fields.pageURL) : null,
+    title: titleEncryptionMetadata.ciphertext,
+    content: contentEncryptionMetadata.ciphertext,
+    _metadata: {
+      encrypted: true,
+      titleEncryptionMetadata,
+      contentEncryptionMetadata,
+      metadataEncryptionMetadata,
+    },
+  };
+}
+
+/**
+ * Rewrite an encrypted note in the current sealed form
+ * Skipped when the note changed since it was read, so a concurrent edit
+ * is never overwritten with older plaintext.
+ */
+async function resealStoredNote(storedNote, decryptedNote) {
+  const key = storedNoteKey(storedNote);
+  const current = (await storage.get([key]))[key];
+  if (!current || !encryptionKey || JSON.stringify(current) !== JSON.stringify(storedNote)) {
+    return;
+  }
+
+  await replaceStoredNote(storedNote, await sealNote(decryptedNote, true));
+}
+
+/**
+ * Reseal every encrypted note still stored in an older form
+ * Started on unlock so URLs and metadata leave storage without waiting
+ * for each note to be opened.
+ */
+async function resealStoredNotes() {
+  const result = await storage.getByPrefix('note:');
+  let resealed = 0;
+
+  for (const storedNote of Object.values(result)) {
+    if (!needsReseal(storedNote)) continue;
+    try {
+      const { note } = await openNote(storedNote);
+      await resealStoredNote(storedNote, note);
+      resealed++;
+    } catch (error) {
+      console.warn(`[QuietNote] Failed to reseal note ${storedNote.id}:`, error);
+    }
+  }
+
+  if (resealed > 0) {
+    console.log(`[QuietNote] Resealed ${resealed} notes`);
+  }
+}
+
+/**
+ * Revision history
+ * Each update that changes the title or content keeps the version it
+ * replaces, so an overwritten note can be restored. A note's revisions are
+ * stored together under revisions:${id}, oldest first:
+ *   { id, pageNote, encrypted: false, revisions: Revision[] }
+ *   { id, pageNote, encrypted: true, revisionsEncryptionMetadata }
+ * Revision = { id, savedAt, replacedAt, title, content, color, position,
+ *              size, masked, tags, pinned }
+ * The list is encrypted as one field of the note whenever the note itself
+ * is, and pruned on each write to the newest revisionLimit entries replaced
+ * within revisionMaxAge (0 keeps them regardless of age).
+ */
+
+const REVISIONS_PREFIX = 'revisions:';
+
+function revisionsKey(noteId) {
+  return `${REVISIONS_PREFIX}${noteId}`;
+}
+
+async function getRevisionsRecord(noteId) {
+  const key = revisionsKey(noteId);
+  return (await storage.get([key]))[key] || null;
+}
+
+/**
+ * Decrypt a revisions record; throws when it is encrypted and cannot be
+ */
+async function openRevisions(record) {
+  if (!record.encrypted) {
+    return record.revisions || [];
+  }
+  if (!encryptionKey) {
+    throw new Error('Notes are locked');
+  }
+
+  const envelope = record.revisionsEncryptionMetadata;
+  let plaintext;
+  try {
+    plaintext = await decryptNoteField(envelope, encryptionKey, record.id, 'revisions');
+  } catch (error) {
+    if (!previousKeys) throw error;
+    plaintext = await decryptNoteField(envelope, previousKeys.encryptionKey, record.id, 'revisions');
+  }
+  return JSON.parse(plaintext);
+}
+
+async function sealRevisions(noteId, pageNote, revisions, encrypt) {
+  if (!encrypt) {
+    return { id: noteId, pageNote, encrypted: false, revisions };
+  }
+  if (!encryptionKey) {
+    throw new Error('Notes are locked');
+  }
+
+  return {
+    id: noteId,
+    pageNote,
+    encrypted: true,
+    revisionsEncryptionMetadata: await encryptNoteField(
+      JSON.stringify(revisions),
+      encryptionKey,
+      noteId,
+      'revisions'
+    ),
+  };
+}
+
+function pruneRevisions(revisions, settings, now = Date.now()) {
+  const { revisionLimit, revisionMaxAge } = settings;
+  if (!(revisionLimit > 0)) {
+    return [];
+  }
+
+  const kept = revisionMaxAge > 0
+    ? revisions.filter(revision => now - revision.replacedAt <= revisionMaxAge)
+    : revisions;
+  return kept.slice(-revisionLimit);
+}
+
+/**
+ * Add the decrypted version of a note that is about to be replaced to its
+ * history. History that cannot be read is left alone rather than
+ * overwritten, and never blocks the update itself.
+ */
+async function recordRevision(note, pageNote, encrypt, settings) {
+  try {
+    const record = await getRevisionsRecord(note.id);
+    const now = Date.now();
+    const revisions = pruneRevisions([
+      ...(record ? await openRevisions(record) : []),
+      {
+        id: crypto.randomUUID(),
+        savedAt: note.updatedAt,
+        replacedAt: now,
+        title: note.title,
+        content: note.content,
+        color: note.color,
+        position: note.position,
+        size: note.size,
+        masked: note.masked,
+        tags: note._metadata?.tags,
+        pinned: note._metadata?.pinned,
+      },
+    ], settings, now);
+
+    if (revisions.length === 0) {
+      await storage.remove(revisionsKey(note.id));
+      return;
+    }
+    await storage.set({
+      [revisionsKey(note.id)]: await sealRevisions(note.id, pageNote, revisions, encrypt),
+    });
+  } catch (error) {
+    console.warn(`[QuietNote] Failed to keep a revision of note ${note.id}:`, error);
+  }
+}
+
+/**
+ * Trash
+ * Deleted notes are kept for trashRetention before they are purged, so a
+ * delete can be undone. A trashed note keeps its stored form, encrypted or
+ * not, together with its revision history:
+ *   trash:${id} = { id, deletedAt, note: storedNote, revisions: record | null }
+ * deletedAt stays readable so expired notes can be purged while locked.
+ * With trashRetention 0 deletes are permanent straight away.
+ */
+
+const TRASH_PREFIX = 'trash:';
+
+function trashKey(noteId) {
+  return `${TRASH_PREFIX}${noteId}`;
+}
+
+/**
+ * Move notes and their histories to the trash, or delete them when the
+ * trash is off. Resolves to whether they were kept.
+ */
+async function trashStoredNotes(storedNotes) {
+  const { trashRetention } = await getSettings();
+  const historyKeys = storedNotes.map(note => revisionsKey(note.id));
+
+  if (trashRetention > 0) {
+    const histories = await storage.get(historyKeys);
+    const deletedAt = Date.now();
+    await storage.set(Object.fromEntries(storedNotes.map(note => [trashKey(note.id), {
+      id: note.id,
+      deletedAt,
+      note,
+      revisions: histories[revisionsKey(note.id)] || null,
+    }])));
+  }
+
+  await storage.remove([...storedNotes.map(storedNoteKey), ...historyKeys]);
+  return trashRetention > 0;
+}
+
+/**
+ * Whether a trashed note was a note of the normalized page URL
+ * A sealed note can only be matched while unlocked.
+ */
+async function isTrashedFromPage(entry, pageURL) {
+  const { note } = entry;
+  if (note.pageURL) {
+    return note.pageURL === pageURL;
+  }
+  for (const key of [pageIdKey, previousKeys?.pageIdKey]) {
+    if (key && note.pageId && note.pageId === await getPageId(pageURL, key)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Alarms may not survive a browser restart, so this runs on every start;
+ * an existing alarm is kept so restarts do not keep postponing it
+ */
+async function scheduleTrashPurge() {
+  if (!(await chrome.alarms.get(TRASH_PURGE_ALARM))) {
+    await chrome.alarms.create(TRASH_PURGE_ALARM, { periodInMinutes: TRASH_PURGE_INTERVAL_MINUTES });
+  }
+}
+
+async function purgeExpiredTrash(now = Date.now()) {
+  const { trashRetention } = await getSettings();
+  const result = await storage.getByPrefix(TRASH_PREFIX);
+  const expired = Object.entries(result)
+    .filter(([, entry]) => !(now - entry?.deletedAt < trashRetention))
+    .map(([key]) => key);
+
+  if (expired.length > 0) {
+    await storage.remove(expired);
+    console.log(`[QuietNote] Purged ${expired.length} notes from the trash`);
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async alarm => {
+  if (alarm.name !== TRASH_PURGE_ALARM) return;
+
+  await purgeExpiredTrash();
+});
+
+/**
+ * Re-encryption job
+ * Brings every stored note, revision history and trashed note in line with
+ * the security level and the current data key: encrypting, decrypting, or
+ * resealing it after a key rotation.
+ * Progress is checkpointed in storage (reencryptJob), so the job carries on
+ * after a worker restart or, having paused while locked, after the next
+ * unlock. Notes are converted one at a time and each is readable in either
+ * form, so stopping midway never loses data.
+ *
+ * reencryptJob = {
+ *   id, reason,       // 'security-level' | 'key-rotation'
+ *   status,           // 'running' | 'paused' (waiting for unlock) | 'cancelled' | 'done'
+ *   total, processed, failed,
+ *   startedAt, updatedAt, finishedAt?
+ * }
+ */
+
+const REENCRYPT_JOB_KEY = 'reencryptJob';
+const REENCRYPT_BATCH_SIZE = 10;
+
+let reencryptRun = null;
+
+async function getReencryptJob() {
+  const { [REENCRYPT_JOB_KEY]: job } = await storage.get(REENCRYPT_JOB_KEY);
+  return job || null;
+}
+
+/**
+ * Update the job unless another one has replaced it meanwhile
+ */
+async function updateReencryptJob(id, changes) {
+  const job = await getReencryptJob();
+  if (job?.id !== id) return null;
+
+  const updated = { ...job, ...changes, updatedAt: Date.now() };
+  await storage.set({ [REENCRYPT_JOB_KEY]: updated });
+  return updated;
+}
+
+/**
+ * Start a job over every note that needs converting (replacing any
+ * earlier job, whose remaining notes it covers too) and run it
+ */
+async function startReencryptJob(reason) {
+  const work = await findReencryptWork(await getSettings());
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    reason,
+    status: 'running',
+    total: work.length,
+    processed: 0,
+    failed: 0,
+    startedAt: now,
+    updatedAt: now,
+  };
+
+  await storage.set({ [REENCRYPT_JOB_KEY]: job });
+  runReencryptJob();
+  return job;
+}
+
+/**
+ * Pick up a running or paused job; needs the key
+ */
+async function resumeReencryptJob() {
+  const job = await getReencryptJob();
+  if (!encryptionKey || (job?.status !== 'running' && job?.status !== 'paused')) {
+    return;
+  }
+
+  await updateReencryptJob(job.id, { status: 'running' });
+  runReencryptJob();
+}
+
+function runReencryptJob() {
+  if (!reencryptRun) {
+    reencryptRun = processReencryptJob()
+      .catch(error => {
+        console.error('[QuietNote] Re-encryption job failed:', error);
+      })
+      .finally(() => {
+        reencryptRun = null;
+      });
+  }
+  return reencryptRun;
+}
+
+async function processReencryptJob() {
+  let jobId = null;
+  let work = [];
+  let failedKeys = new Set();
+
+  for (;;) {
+    // Read back every batch so cancel, lock and a replacing job take effect
+    let job = await getReencryptJob();
+    if (job?.status !== 'running') return;
+
+    if (!encryptionKey) {
+      await updateReencryptJob(job.id, { status: 'paused' });
+      return;
+    }
+
+    const settings = await getSettings();
+    if (job.id !== jobId) {
+      // Started or resumed: count notes converted since the last
+      // checkpoint as done, and retry the ones that failed
+      jobId = job.id;
+      failedKeys = new Set();
+      work = await findReencryptWork(settings);
+      const total = Math.max(job.total, job.processed + work.length);
+      job = await updateReencryptJob(job.id, { total, processed: total - work.length, failed: 0 });
+      if (!job) continue;
+    }
+
+    if (work.length === 0) {
+      // Notes moved to or from the trash meanwhile sit under keys the
+      // first scan did not see
+      work = (await findReencryptWork(settings)).filter(key => !failedKeys.has(key));
+      if (work.length === 0) {
+        await finishReencryptJob(job);
+        return;
+      }
+      job = await updateReencryptJob(job.id, { total: job.total + work.length });
+      if (!job) continue;
+    }
+
+    let { processed, failed } = job;
+    for (const key of work.splice(0, REENCRYPT_BATCH_SIZE)) {
+      if (await reencryptRecord(key, settings)) {
+        processed++;
+      } else {
+        failed++;
+        failedKeys.add(key);
+      }
+    }
+    await updateReencryptJob(job.id, { processed, failed });
+  }
+}
+
+async function finishReencryptJob(job) {
+  // Every note is sealed with the current key, so the old one can go
+  if (previousKeys && job.failed === 0) {
+    const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+    const { previousKey, ...rest } = vaultKeys;
+    await storage.set({ [VAULT_KEYS_KEY]: rest });
+    previousKeys = null;
+  }
+
+  await updateReencryptJob(job.id, { status: 'done', finishedAt: Date.now() });
+  console.log(
+    `[QuietNote] Re-encryption finished: ${job.processed} notes converted, ${job.failed} failed`
+  );
+}
+
+/**
+ * Storage keys of the notes and revision histories whose stored form does
+ * not match the settings and current key
+ */
+async function findReencryptWork(settings) {
+  const checks = [
+    ['note:', needsReencrypt],
+    [REVISIONS_PREFIX, revisionsNeedReencrypt],
+    [TRASH_PREFIX, trashNeedsReencrypt],
+  ];
+  const keys = [];
+  for (const [prefix, needsWork] of checks) {
+    for (const [key, record] of Object.entries(await storage.getByPrefix(prefix))) {
+      if (await needsWork(record, settings)) keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function reencryptRecord(key, settings) {
+  if (key.startsWith(REVISIONS_PREFIX)) {
+    return reencryptRevisions(key, settings);
+  }
+  if (key.startsWith(TRASH_PREFIX)) {
+    return reencryptTrash(key, settings);
+  }
+  return reencryptStoredNote(key, settings);
+}
+
+async function needsReencrypt(storedNote, settings) {
+  if (hasLostEnvelope(storedNote)) {
+    return false;
+  }
+  const encrypted = !!storedNote._metadata?.encrypted;
+  const isPageNote = !!(storedNote.pageId || storedNote.pageURL);
+  if (encrypted !== shouldEncryptNote(isPageNote, settings)) {
+    return true;
+  }
+  return encrypted && !!previousKeys && !(await isSealedWithCurrentKey(storedNote));
+}
+
+async function isSealedWithCurrentKey(storedNote) {
+  try {
+    await decryptNoteField(
+      storedNote._metadata.contentEncryptionMetadata,
+      encryptionKey,
+      storedNote.id,
+      'content'
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert one note; false when it could not be read
+ * A note edited since it was read is left alone: writes already follow the
+ * current settings and key.
+ */
+async function reencryptStoredNote(key, settings) {
+  const storedNote = (await storage.get([key]))[key];
+  if (!storedNote || !(await needsReencrypt(storedNote, settings))) {
+    return true;
+  }
+
+  try {
+    const converted = await convertStoredNote(storedNote, settings);
+
+    const current = (await storage.get([key]))[key];
+    if (JSON.stringify(current) === JSON.stringify(storedNote)) {
+      await replaceStoredNote(storedNote, converted);
+    }
+    return true;
+  } catch (error) {
+    console.warn(`[QuietNote] Failed to re-encrypt note ${storedNote.id}:`, error);
+    return false;
+  }
+}
+
+async function convertStoredNote(storedNote, settings) {
+  const { note } = await openNote(storedNote);
+  return sealNote(note, shouldEncryptNote(!!note.pageURL, settings));
+}
+
+async function revisionsNeedReencrypt(record, settings) {
+  if (!!record.encrypted !== shouldEncryptNote(!!record.pageNote, settings)) {
+    return true;
+  }
+  if (!record.encrypted || !previousKeys) {
+    return false;
+  }
+  try {
+    await decryptNoteField(record.revisionsEncryptionMetadata, encryptionKey, record.id, 'revisions');
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Convert one revision history, like reencryptStoredNote
+ */
+async function reencryptRevisions(key, settings) {
+  const record = (await storage.get([key]))[key];
+  if (!record || !(await revisionsNeedReencrypt(record, settings))) {
+    return true;
+  }
+
+  try {
+    const converted = await convertRevisions(record, settings);
+
+    const current = (await storage.get([key]))[key];
+    if (JSON.stringify(current) === JSON.stringify(record)) {
+      await storage.set({ [key]: converted });
+    }
+    return true;
+  } catch (error) {
+    console.warn(`[QuietNote] Failed to re-encrypt revisions of note ${record.id}:`, error);
+    return false;
+  }
+}
+
+async function convertRevisions(record, settings) {
+  const revisions = await openRevisions(record);
+  const encrypt = shouldEncryptNote(!!record.pageNote, settings);
+  return sealRevisions(record.id, record.pageNote, revisions, encrypt);
+}
+
+async function trashNeedsReencrypt(entry, settings) {
+  return await needsReencrypt(entry.note, settings) ||
+    (!!entry.revisions && await revisionsNeedReencrypt(entry.revisions, settings));
+}
+
+/**
+ * Convert a trashed note and its history, like reencryptStoredNote
+ */
+async function reencryptTrash(key, settings) {
+  const entry = (await storage.get([key]))[key];
+  if (!entry || !(await trashNeedsReencrypt(entry, settings))) {
+    return true;
+  }
+
+  try {
+    const converted = {
+      ...entry,
+      note: await needsReencrypt(entry.note, settings)
+        ? await convertStoredNote(entry.note, settings)
+        : entry.note,
+      revisions: entry.revisions && await revisionsNeedReencrypt(entry.revisions, settings)
+        ? await convertRevisions(entry.revisions, settings)
+        : entry.revisions,
+    };
+
+    const current = (await storage.get([key]))[key];
+    if (JSON.stringify(current) === JSON.stringify(entry)) {
+      await storage.set({ [key]: converted });
+    }
+    return true;
+  } catch (error) {
+    console.warn(`[QuietNote] Failed to re-encrypt trashed note ${entry.id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Load the rotated-out data key, which vaultKeys.previousKey keeps wrapped
+ * with the current one until every note has been resealed
+ */
+async function loadPreviousKeys() {
+  const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+  if (!vaultKeys?.previousKey) {
+    previousKeys = null;
+    return;
+  }
+
+  const rawKey = base64ToArrayBuffer(await decryptAESGCM(vaultKeys.previousKey, encryptionKey));
+  previousKeys = {
+    encryptionKey: await importAESKey(rawKey),
+    pageIdKey: await derivePageIdKey(rawKey),
+  };
+}
+
+/**
+ * Storage quota
+ * IndexedDB is limited by the browser's origin quota; chrome.storage.local,
+ * used where IndexedDB is missing, by its QUOTA_BYTES.
+ */
+
+const STORAGE_WARNING_RATIO = 0.8;
+const STORAGE_CRITICAL_RATIO = 0.95;
+
+/**
+ * Decrypted note index
+ * Decrypting every note for each list request is too slow on large vaults,
+ * so while unlocked the decrypted notes are kept in memory by storage key.
+ * The index is built on first use after unlock, decrypting in parallel,
+ * follows storage.onChanged from then on and is dropped on lock or when the
+ * key changes. Locked, nothing can be decrypted and notes are listed as
+ * stored.
+ */
+
+const NOTE_INDEX_CONCURRENCY = 32;
+const NOTE_PREVIEW_LENGTH = 100;
+
+/**
+ * Get the index of the unlocked vault, building it if needed
+ * Returns null while locked.
+ */
+async function getNoteIndex() {
+  while (encryptionKey) {
+    if (!noteIndex) {
+      const index = {
+        notes: new Map(),
+        unreadable: new Set(),
+        // Per-key change counter, so a slow decrypt never overwrites a newer one
+        versions: new Map(),
+        // Keys changed while building; null once built
+        changed: new Set(),
+        updates: new Set(),
+      };
+      index.ready = buildNoteIndex(index);
+      noteIndex = index;
+    }
+
+    const index = noteIndex;
+    try {
+      await index.ready;
+      while (index.updates.size) {
+        await Promise.all(index.updates);
+      }
+    } catch (error) {
+      if (noteIndex === index) noteIndex = null;
+      throw error;
+    }
+
+    // Otherwise dropped while building; start over with the current key
+    if (index === noteIndex) return index;
+  }
+  return null;
+}
+
+async function buildNoteIndex(index) {
+  const entries = Object.entries(await storage.getByPrefix('note:'));
+  for (let i = 0; i < entries.length; i += NOTE_INDEX_CONCURRENCY) {
+    await Promise.all(entries
+      .slice(i, i + NOTE_INDEX_CONCURRENCY)
+      .map(([key, storedNote]) => indexStoredNote(index, key, storedNote)));
+  }
+
+  // Notes written while building may be missing from the snapshot or older
+  // in it; read them again until a read goes by without changes
+  while (index.changed.size) {
+    const keys = [...index.changed];
+    index.changed.clear();
+    const latest = await storage.get(keys);
+    await Promise.all(keys.map(key => indexStoredNote(index, key, latest[key])));
+  }
+  index.changed = null;
+}
+
+async function indexStoredNote(index, key, storedNote, isCurrent = () => true) {
+  if (!storedNote) {
+    index.notes.delete(key);
+    index.unreadable.delete(key);
+    return;
+  }
+
+  let note = null;
+  try {
+    note = await decryptNoteFields(storedNote);
+  } catch (error) {
+    console.warn(`[QuietNote] Failed to decrypt note ${storedNote.id}:`, error);
+  }
+
+  if (!isCurrent()) return;
+  if (note) {
+    index.notes.set(key, note);
+    index.unreadable.delete(key);
+  } else {
+    index.notes.delete(key);
+    index.unreadable.add(key);
+  }
+}
+
+function updateNoteIndex(index, key, storedNote) {
+  if (index.changed) {
+    index.changed.add(key);
+    return;
+  }
+
+  const version = (index.versions.get(key) || 0) + 1;
+  index.versions.set(key, version);
+  const update = indexStoredNote(index, key, storedNote, () => index.versions.get(key) === version)
+    .finally(() => index.updates.delete(update));
+  index.updates.add(update);
+}
+
+/**
+ * Wipe the decrypted notes from memory
+ */
+function dropNoteIndex() {
+  noteIndex?.notes.clear();
+  noteIndex?.unreadable.clear();
+  noteIndex = null;
+}
+
+storage.onChanged(changes => {
+  if (!noteIndex) return;
+  for (const [key, { newValue }] of Object.entries(changes)) {
+    if (key.startsWith('note:')) {
+      updateNoteIndex(noteIndex, key, newValue);
+    }
+  }
+});
+
+/**
+ * List notes newest first (see GET_ALL_NOTES)
+ * Without the key only unencrypted notes are listed; encrypted ones, left
+ * behind by an earlier level, stay unreadable until unlocked. Notes are
+ * returned without _metadata unless fields asks for tags or pinned.
+ */
+async function queryNotes({ pageURL, offset = 0, limit, fields } = {}) {
+  const index = await getNoteIndex();
+  let notes;
+  if (index) {
+    notes = [...index.notes.values()];
+  } else {
+    notes = Object.values(await storage.getByPrefix('note:'))
+      .filter(storedNote => !storedNote._metadata?.encrypted);
+  }
+
+  // Sealed notes only know their page once decrypted
+  if (pageURL) {
+    const page = normalizeUrl(pageURL);
+    notes = notes.filter(note => note.pageURL === page);
+  }
+  notes.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) || String(a.id).localeCompare(String(b.id)));
+
+  const page = notes.slice(offset, limit === undefined ? undefined : offset + limit);
+  return {
+    notes: page.map(note => (fields ? projectNote(note, fields) : toNote(note))),
+    total: notes.length,
+    unreadable: index ? index.unreadable.size : 0,
+  };
+}
+
+function projectNote(note, fields) {
+  const projected = {};
+  for (const field of fields) {
+    if (field === 'preview') {
+      const content = note.content || '';
+      projected.preview = content.length > NOTE_PREVIEW_LENGTH
+        ? `${content.substring(0, NOTE_PREVIEW_LENGTH)}...`
+        : content;
+    } else if (field === 'tags' || field === 'pinned') {
+      projected[field] = note._metadata?.[field];
+    } else {
+      projected[field] = note[field];
+    }
+  }
+  return projected;
+}
+
+/**
+ * Vault integrity
+ * Finds the records normal reads skip over without a word. Each problem is
+ * reported as { key, id, problem, detail }:
+ *   undecryptable  - encrypted note or revision history that fails to
+ *                    decrypt (corrupted, or sealed with a key this vault
+ *                    does not have)
+ *   missing-fields - note without its title, content, timestamps or metadata
+ *                    (for example titles the v2 migration could not carry over)
+ *   malformed-key  - record under a note: key that is not a note, or whose
+ *                    key does not match its id and page
+ *   duplicate-id   - the same note id under more than one key
+ *   orphaned-key   - storage key nothing in QuietNote uses, including legacy
+ *                    key material left next to vaultKeys and the revisions
+ *                    of deleted notes
+ * Quarantined records are moved out of the note: namespace to
+ * quarantine:${key} so they stop being read, and can be exported or deleted
+ * later.
+ */
+
+const QUARANTINE_PREFIX = 'quarantine:';
+
+async function verifyVault() {
+  // Every record is read: orphaned keys can sit under any name
+  const result = await storage.get(null);
+  const knownKeys = new Set([
+    'settings',
+    'lockState',
+    'diagnostics',
+    'migration_v2_done',
+    MIGRATION_MARKER,
+    VAULT_KEYS_KEY,
+    PIN_ATTEMPTS_KEY,
+    REENCRYPT_JOB_KEY,
+  ]);
+  // Legacy vaults keep their key material here until the first unlock
+  if (!result[VAULT_KEYS_KEY]) {
+    knownKeys.add('encryptionSalt');
+    knownKeys.add(KEY_CHECK_KEY);
+  }
+
+  const issues = [];
+  const quarantined = [];
+  const keysById = new Map();
+  const revisionKeys = [];
+  let checked = 0;
+  let skipped = 0;
+
+  for (const [key, value] of Object.entries(result)) {
+    if (key.startsWith(QUARANTINE_PREFIX)) {
+      quarantined.push({ key, problems: value?.problems || [], quarantinedAt: value?.quarantinedAt });
+      continue;
+    }
+    if (key.startsWith(REVISIONS_PREFIX)) {
+      revisionKeys.push(key);
+      continue;
+    }
+    if (key.startsWith(TRASH_PREFIX)) {
+      continue;
+    }
+    if (!key.startsWith('note:')) {
+      if (!knownKeys.has(key)) {
+        issues.push({ key, id: null, problem: 'orphaned-key', detail: 'Not used by QuietNote' });
+      }
+      continue;
+    }
+
+    checked++;
+    if (!value || typeof value !== 'object' || typeof value.id !== 'string') {
+      issues.push({ key, id: null, problem: 'malformed-key', detail: 'Not a note record' });
+      continue;
+    }
+
+    const { id } = value;
+    keysById.set(id, [...(keysById.get(id) || []), key]);
+    if (storedNoteKey(value) !== key) {
+      issues.push({ key, id, problem: 'malformed-key', detail: 'Key does not match the note id and page' });
+    }
+
+    let note = value;
+    if (value._metadata?.encrypted) {
+      if (!encryptionKey) {
+        skipped++;
+        continue;
+      }
+      try {
+        ({ note } = await openNote(value));
+      } catch (error) {
+        issues.push({ key, id, problem: 'undecryptable', detail: error.message || 'Decryption failed' });
+        continue;
+      }
+    }
+
+    const missing = findMissingFields(value, note);
+    if (missing.length > 0) {
+      issues.push({ key, id, problem: 'missing-fields', detail: `Missing ${missing.join(', ')}` });
+    }
+  }
+
+  for (const [id, keys] of keysById) {
+    if (keys.length < 2) continue;
+    for (const key of keys) {
+      issues.push({ key, id, problem: 'duplicate-id', detail: `Stored under ${keys.length} keys` });
+    }
+  }
+
+  for (const key of revisionKeys) {
+    const id = key.slice(REVISIONS_PREFIX.length);
+    const record = result[key];
+    if (!keysById.has(id) || record?.id !== id) {
+      issues.push({ key, id, problem: 'orphaned-key', detail: 'Revisions of a missing note' });
+      continue;
+    }
+    if (!record.encrypted) continue;
+    if (!encryptionKey) {
+      skipped++;
+      continue;
+    }
+    try {
+      await openRevisions(record);
+    } catch (error) {
+      issues.push({ key, id, problem: 'undecryptable', detail: error.message || 'Decryption failed' });
+    }
+  }
+
+  // Encrypted notes can only be checked while unlocked
+  return { checked, skipped, complete: skipped === 0, issues, quarantined };
+}
+
+function findMissingFields(storedNote, note) {
+  const missing = [];
+  const metadata = storedNote._metadata;
+
+  // An encrypted field without its envelope cannot be read back
+  const lost = field => metadata?.encrypted && !metadata[`${field}EncryptionMetadata`];
+  if (lost('title') || typeof note.title !== 'string') missing.push('title');
+  if (lost('content') || typeof note.content !== 'string') missing.push('content');
+  if (!Number.isFinite(note.createdAt)) missing.push('createdAt');
+  if (!Number.isFinite(note.updatedAt)) missing.push('updatedAt');
+  if (!metadata) missing.push('_metadata');
+
+  return missing;
+}
+
+/**
+ * Quarantine, export or delete records reported by verifyVault
+ * Returns the export file contents for 'export'.
+ */
+async function repairVault(action, keys) {
+  const records = await storage.get(keys);
+  const report = await verifyVault();
+  const problems = key => report.issues.filter(issue => issue.key === key).map(issue => issue.problem);
+
+  switch (action) {
+    case 'quarantine': {
+      const moved = {};
+      for (const [key, record] of Object.entries(records)) {
+        if (key.startsWith(QUARANTINE_PREFIX)) continue;
+        moved[`${QUARANTINE_PREFIX}${key}`] = {
+          key,
+          record,
+          problems: problems(key),
+          quarantinedAt: Date.now(),
+        };
+      }
+      await storage.set(moved);
+      await storage.remove(Object.keys(moved).map(key => key.slice(QUARANTINE_PREFIX.length)));
+      return null;
+    }
+
+    case 'export':
+      return JSON.stringify({
+        version: '2.0',
+        exportedAt: new Date().toISOString(),
+        records: Object.entries(records).map(([key, record]) => (
+          key.startsWith(QUARANTINE_PREFIX)
+            ? record
+            : { key, record, problems: problems(key) }
+        )),
+      }, null, 2);
+
+    case 'delete':
+      await storage.remove(Object.keys(records));
+      return null;
+
+    default:
+      throw new Error(`Unknown repair action: ${action}`);
+  }
+}
+
+async function getSettings() {
+  const result = await storage.get(['settings']);
+  return { ...DEFAULT_SETTINGS, ...result.settings };
+}
+
+function getSecurityPolicy(settings) {
+  const { defaults, ...policy } = SECURITY_LEVELS[settings.securityLevel] || SECURITY_LEVELS.full;
+  return policy;
+}
+
+/**
+ * Whether notes need an unlock before they can be read
+ */
+function isVaultLocked(policy) {
+  return policy.requirePIN && (lockState.locked || !encryptionKey);
+}
+
+/**
+ * Whether a note is stored encrypted at the given settings' level
+ */
+function shouldEncryptNote(isPageNote, settings) {
+  const policy = getSecurityPolicy(settings);
+  return policy.encryptionEnabled && !(isPageNote && policy.pageNotesWhileLocked);
+}
+
+/**
+ * SET_SECURITY_LEVEL { level, confirmed? }
+ * Switches the security level, applies its defaults and starts the
+ * re-encryption job that converts stored notes to match it: encrypting the
+ * notes the new level protects and decrypting the rest.
+ * Without confirmed nothing changes; the response describes the migration
+ * so the user can confirm it:
+ *   { success: false, code: 'CONFIRMATION_REQUIRED', toEncrypt, toDecrypt }
+ * Converting notes needs the data key: code LOCKED while locked, NO_PIN
+ * when the level encrypts and no PIN has been set yet.
+ * Response: { success: true, toEncrypt, toDecrypt, job } - follow the
+ * conversion with GET_REENCRYPT_JOB
+ */
+async function handleSetSecurityLevel(request, sendResponse) {
+  try {
+    const { level, confirmed } = request;
+    const settings = await getSettings();
+    const { defaults, ...policy } = SECURITY_LEVELS[level];
+    const target = { ...settings, securityLevel: level };
+
+    const result = await storage.getByPrefix('note:');
+    const toEncrypt = [];
+    const toDecrypt = [];
+    for (const storedNote of Object.values(result)) {
+      const encrypted = !!storedNote._metadata?.encrypted;
+      const isPageNote = !!(storedNote.pageId || storedNote.pageURL);
+      const wanted = shouldEncryptNote(isPageNote, target);
+      if (wanted && !encrypted) toEncrypt.push(storedNote);
+      if (!wanted && encrypted) toDecrypt.push(storedNote);
+    }
+
+    if (!confirmed) {
+      sendResponse({
+        success: false,
+        code: 'CONFIRMATION_REQUIRED',
+        error: 'Confirm to change the security level',
+        toEncrypt: toEncrypt.length,
+        toDecrypt: toDecrypt.length,
+      });
+      return;
+    }
+
+    if (policy.encryptionEnabled && !(await hasVaultKey())) {
+      sendResponse({ success: false, code: 'NO_PIN', error: 'Set a PIN before turning on encryption' });
+      return;
+    }
+    if ((toEncrypt.length > 0 || toDecrypt.length > 0) && !encryptionKey) {
+      sendResponse({ success: false, code: 'LOCKED', error: 'Unlock QuietNote to convert your notes' });
+      return;
+    }
+
+    const updated = {
+      ...target,
+      encryptionEnabled: policy.encryptionEnabled,
+      requirePIN: policy.requirePIN,
+      ...defaults,
+    };
+    await storage.set({ settings: updated });
+    if (encryptionKey) {
+      await scheduleAutoLock(updated.autoLockTimer);
+    }
+
+    const job = await startReencryptJob('security-level');
+    console.log(`[QuietNote] Security level set to ${level}`);
+    sendResponse({
+      success: true,
+      toEncrypt: toEncrypt.length,
+      toDecrypt: toDecrypt.length,
+      job,
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * PIN attempt rate limiting
+ * Mirrors PINValidator in crypto/crypto.ts. Every failure adds an
+ * exponential delay before the next attempt; MAX_ATTEMPTS failures in a row
+ * trigger a lockout that doubles each time it recurs. Counters are persisted
+ * so restarting the worker does not reset them.
+ */
+
+const PIN_RATE_LIMIT = {
+  maxAttempts: 5,
+  lockoutDuration: 900000, // 15 minutes
+  maxLockoutDuration: 86400000, // 24 hours
+  backoffBaseDelay: 1000,
+};
+
+const PIN_ATTEMPTS_KEY = 'pinAttempts';
+
+let pinAttemptQueue = Promise.resolve();
+
+/**
+ * Run a PIN check under the rate limiter
+ * verify() resolves to true when the PIN is correct.
+ * Resolves to { success: true } or a failure response:
+ *   { success: false, code: 'LOCKED_OUT', error, retryAfter, lockoutUntil }
+ *   { success: false, code: 'INVALID_PIN', error, attemptsRemaining, retryAfter }
+ * retryAfter is in seconds.
+ */
+function checkPINAttempt(settings, verify) {
+  // Serialize attempts so parallel requests cannot skip the counter
+  const run = pinAttemptQueue.then(async () => {
+    if (!settings.rateLimitPINAttempts) {
+      return (await verify())
+        ? { success: true }
+        : { success: false, code: 'INVALID_PIN', error: 'Invalid PIN' };
+    }
+
+    const now = Date.now();
+    const state = await getPINAttemptState();
+
+    if (state.lockoutUntil > now) {
+      return pinLockoutResponse(state, now);
+    }
+
+    if (await verify()) {
+      await storage.remove(PIN_ATTEMPTS_KEY);
+      return { success: true };
+    }
+
+    const failedAttempts = state.failedAttempts + 1;
+    let updated;
+    if (failedAttempts >= PIN_RATE_LIMIT.maxAttempts) {
+      const lockoutCount = state.lockoutCount + 1;
+      const duration = Math.min(
+        PIN_RATE_LIMIT.lockoutDuration * 2 ** (lockoutCount - 1),
+        PIN_RATE_LIMIT.maxLockoutDuration
+      );
+      updated = { failedAttempts: 0, lockoutCount, lastAttempt: now, lockoutUntil: now + duration };
+      await storage.set({ [PIN_ATTEMPTS_KEY]: updated });
+      return pinLockoutResponse(updated, now);
+    }
+
+    const delay = PIN_RATE_LIMIT.backoffBaseDelay * 2 ** (failedAttempts - 1);
+    updated = { ...state, failedAttempts, lastAttempt: now, lockoutUntil: now + delay };
+    await storage.set({ [PIN_ATTEMPTS_KEY]: updated });
+
+    return {
+      success: false,
+      code: 'INVALID_PIN',
+      error: 'Invalid PIN',
+      attemptsRemaining: PIN_RATE_LIMIT.maxAttempts - failedAttempts,
+      retryAfter: Math.ceil(delay / 1000),
+    };
+  });
+
+  pinAttemptQueue = run.catch(() => {});
+  return run;
+}
+
+async function getPINAttemptState() {
+  const { [PIN_ATTEMPTS_KEY]: state } = await storage.get([PIN_ATTEMPTS_KEY]);
+  return {
+    failedAttempts: 0,
+    lockoutCount: 0,
+    lastAttempt: 0,
+    lockoutUntil: 0,
+    ...state,
+  };
+}
+
+function pinLockoutResponse(state, now) {
+  const retryAfter = Math.ceil((state.lockoutUntil - now) / 1000);
+  return {
+    success: false,
+    code: 'LOCKED_OUT',
+    error: `Too many failed attempts. Try again in ${retryAfter}s`,
+    retryAfter,
+    lockoutUntil: state.lockoutUntil,
+  };
+}
+
+/**
+ * Key hierarchy
+ * Notes are encrypted with a random AES-GCM data key. The data key is stored
+ * only wrapped (encrypted) by keys derived from the user's unlock secrets, one
+ * entry per unlock method in vaultKeys.wrappedKeys, so changing the PIN only
+ * re-wraps the data key and never touches the notes. Unwrapping is also the
+ * PIN check: AES-GCM authentication fails for a key derived from a wrong PIN,
+ * and each guess costs the full KDF.
+ *
+ * Older vaults encrypted notes with the PIN-derived key itself and verified
+ * the PIN with a key check block (keyCheck) or an unsalted SHA-256
+ * settings.pinHash. On the first successful unlock that derived key becomes
+ * the data key and is wrapped like any other.
+ */
+
+const VAULT_KEYS_KEY = 'vaultKeys';
+const VAULT_KEYS_VERSION = 1;
+const KEY_CHECK_KEY = 'keyCheck';
+const KEY_CHECK_PLAINTEXT = 'quietnote:key-check:v1';
+
+/**
+ * Verify a PIN and unwrap the data key
+ * Resolves to { valid, hasPIN, needsWrap, kind, key, rawKey, salt }.
+ *   hasPIN    - a PIN was set before; false for a brand new vault, where no
+ *               PIN is valid until SET_PIN creates the vault
+ *   needsWrap - the data key is not stored wrapped for the PIN yet (legacy
+ *               vault) or was wrapped with KDF parameters other than the
+ *               current preset; the caller should re-wrap it
+ *   kind      - 'pin' or 'passphrase'
+ */
+async function verifyPIN(pin, settings) {
+  const stored = await storage.get([
+    VAULT_KEYS_KEY,
+    'encryptionSalt',
+    KEY_CHECK_KEY,
+  ]);
+  const wrapped = stored[VAULT_KEYS_KEY]?.wrappedKeys?.pin;
+
+  if (!wrapped) {
+    return verifyLegacyPIN(pin, settings, stored);
+  }
+
+  const dataKey = await unwrapDataKey(wrapped, pin);
+  if (!dataKey) {
+    return { valid: false, hasPIN: true, needsWrap: false };
+  }
+
+  const needsWrap = !isSameKdf(wrapped.kdf, getKdfPreset(settings.keyDerivation));
+  return { valid: true, hasPIN: true, needsWrap, kind: wrapped.kind || 'pin', ...dataKey };
+}
+
+/**
+ * Verify a PIN for a vault without wrapped keys
+ * The PIN-derived key of a legacy vault is its data key; a vault with no key
+ * material at all has no PIN to match. A vault with only its salt is checked
+ * by opening one of its encrypted notes, and fails closed without any.
+ */
+async function verifyLegacyPIN(pin, settings, stored) {
+  const keyCheck = stored[KEY_CHECK_KEY];
+  const hasPIN = !!(keyCheck || settings.pinHash || stored.encryptionSalt);
+  const kind = inferSecretKind(pin);
+
+  if (!hasPIN) {
+    return { valid: false, hasPIN, needsWrap: false };
+  }
+
+  // Legacy hash is cheap to check, so reject before running the KDF
+  if (!keyCheck && settings.pinHash && await hashData(pin) !== settings.pinHash) {
+    return { valid: false, hasPIN, needsWrap: true };
+  }
+
+  const salt = stored.encryptionSalt
+    ? base64ToArrayBuffer(stored.encryptionSalt)
+    : undefined;
+  const { key, rawKey, newSalt } = await deriveSecretKey(pin, salt, LEGACY_KDF_PARAMS);
+  const dataKey = { key, rawKey, salt: newSalt, kind };
+
+  if (!keyCheck) {
+    // Any PIN derives some key; wrapped, a wrong one would orphan every note
+    if (!settings.pinHash && !await opensStoredNote(key)) {
+      return { valid: false, hasPIN, needsWrap: true };
+    }
+    return { valid: true, hasPIN, needsWrap: true, ...dataKey };
+  }
+
+  try {
+    const plaintext = await decryptAESGCM(keyCheck, key);
+    return { valid: plaintext === KEY_CHECK_PLAINTEXT, hasPIN, needsWrap: true, ...dataKey };
+  } catch {
+    return { valid: false, hasPIN, needsWrap: true };
+  }
+}
+
+/**
+ * Whether a key decrypts any stored encrypted note
+ */
+async function opensStoredNote(key) {
+  const sealedNotes = Object.values(await storage.getByPrefix('note:'))
+    .filter(storedNote => storedNote?._metadata?.encrypted);
+  for (const storedNote of sealedNotes) {
+    try {
+      await unsealNote(storedNote, key);
+      return true;
+    } catch {
+      // Wrong key, or a damaged note; try the next one
+    }
+  }
+  return false;
+}
+
+/**
+ * Wrap raw data key bytes with a key derived from an unlock secret
+ * Returns { ciphertext, iv, salt, kdf, createdAt } for vaultKeys.wrappedKeys;
+ * kdf records the derivation parameters so the wrap stays readable after the
+ * presets change.
+ */
+async function wrapDataKey(rawKey, secret, kdf) {
+  const { key, newSalt } = await deriveSecretKey(secret, undefined, kdf);
+  const wrapped = await encryptAESGCM(arrayBufferToBase64(rawKey), key, newSalt);
+  return { ...wrapped, kdf, createdAt: Date.now() };
+}
+
+/**
+ * Unwrap a data key; resolves to { key, rawKey, salt } or null for a wrong secret
+ * Wraps without kdf predate stored parameters and used LEGACY_KDF_PARAMS.
+ */
+async function unwrapDataKey(wrapped, secret) {
+  const salt = base64ToArrayBuffer(wrapped.salt);
+  const { key } = await deriveSecretKey(secret, salt, wrapped.kdf || LEGACY_KDF_PARAMS);
+
   try {
-    const { pin } = request;
-    const hash = await hashData(pin);
-    chrome.storage.local.get(['settings'], result => {
-      const settings = { ...DEFAULT_SETTINGS, ...result.settings };
-      settings.pinHash = hash;
-      chrome.storage.local.set({ settings }, () => {
-        sendResponse({ success: true });
-      });
-    });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    const rawKey = base64ToArrayBuffer(await decryptAESGCM(wrapped, key));
+    return { key: await importAESKey(rawKey), rawKey, salt };
+  } catch {
+    // AES-GCM authentication fails for a key derived from the wrong secret
+    return null;
   }
 }
 
-async function handleVerifyPIN(request, sendResponse) {
-  try {
-    const { pin } = request;
-    const hash = await hashData(pin);
-    chrome.storage.local.get(['settings'], result => {
-      const settings = { ...DEFAULT_SETTINGS, ...result.settings };
-      const isValid = settings.pinHash && hash === settings.pinHash;
-      sendResponse({ success: true, valid: isValid });
-    });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
-  }
+/**
+ * Store a wrapped data key for an unlock method and drop legacy verifiers
+ */
+async function storeWrappedKey(method, wrapped) {
+  const stored = await storage.get([VAULT_KEYS_KEY, 'settings']);
+  const vaultKeys = stored[VAULT_KEYS_KEY] || { version: VAULT_KEYS_VERSION, wrappedKeys: {} };
+  const { pinHash, ...settings } = stored.settings || {};
+
+  await storage.set({
+    [VAULT_KEYS_KEY]: {
+      ...vaultKeys,
+      wrappedKeys: { ...vaultKeys.wrappedKeys, [method]: wrapped },
+    },
+    settings: { ...DEFAULT_SETTINGS, ...settings },
+  });
+  await storage.remove(['encryptionSalt', KEY_CHECK_KEY]);
 }
 
-async function handleEncryptData(request, sendResponse) {
-  try {
-    if (!encryptionKey) {
-      sendResponse({
-        success: false,
-        error: 'Encryption not unlocked',
-      });
-      return;
-    }
+/**
+ * Wrap the data key with the user's PIN or passphrase
+ * kind is kept next to the wrapped key so unlock prompts know what to ask for.
+ */
+async function wrapSecret(rawKey, secret, kind, settings) {
+  const kdf = getKdfPreset(settings.keyDerivation);
+  return { ...(await wrapDataKey(rawKey, secret, kdf)), kind };
+}
 
-    const encrypted = await encryptAESGCM(
-      request.data,
-      encryptionKey,
-      encryptionSalt
-    );
-    sendResponse({ success: true, encrypted });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
+/**
+ * Kind of secret ('pin' or 'passphrase') that unlocks the vault
+ */
+async function getSecretKind() {
+  const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+  return vaultKeys?.wrappedKeys?.pin?.kind || 'pin';
+}
+
+/**
+ * Check a new PIN or passphrase against the policy
+ * Returns a WEAK_SECRET error response, or null when it is allowed.
+ */
+function checkNewSecret(secret, kind, settings) {
+  const errors = checkSecret(secret, kind, settings.passphrasePolicy);
+  if (errors.length === 0) {
+    return null;
   }
+  return { success: false, code: 'WEAK_SECRET', error: errors[0], errors };
 }
 
-async function handleDecryptData(request, sendResponse) {
-  try {
-    if (!encryptionKey) {
-      sendResponse({
-        success: false,
-        error: 'Encryption not unlocked',
-      });
-      return;
-    }
+/**
+ * Remove the wrapped data key of an unlock method
+ */
+async function removeWrappedKey(method) {
+  const { [VAULT_KEYS_KEY]: vaultKeys } = await storage.get(VAULT_KEYS_KEY);
+  if (!vaultKeys?.wrappedKeys?.[method]) return;
 
-    const decrypted = await decryptAESGCM(request.encrypted, encryptionKey);
-    sendResponse({ success: true, decrypted });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
-  }
+  const { [method]: removed, ...wrappedKeys } = vaultKeys.wrappedKeys;
+  await storage.set({ [VAULT_KEYS_KEY]: { ...vaultKeys, wrappedKeys } });
 }
 
-async function handleExportNotes(sendResponse) {
-  try {
-    chrome.storage.local.get(null, result => {
-      const notes = [];
-      for (const [key, value] of Object.entries(result)) {
-        if (key.startsWith('note:')) {
-          notes.push(value);
-        }
-      }
+/**
+ * Raw bytes of the unlocked data key (null while locked)
+ */
+async function getSessionDataKey() {
+  const { [SESSION_STORAGE_KEY]: session } = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+  return encryptionKey && session ? openSessionKey(session.sealedKey) : null;
+}
 
-      const exportData = {
-        version: '2.0',
-        exportedAt: new Date().toISOString(),
-        encrypted: !!encryptionKey,
-        notes,
-      };
+/**
+ * Seal raw data key bytes for session storage with a new non-extractable key
+ */
+async function sealSessionKey(rawKey) {
+  const sealKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  await sessionKeys.set({ [SESSION_SEAL_KEY]: sealKey });
+  return encryptAESGCM(arrayBufferToBase64(rawKey), sealKey);
+}
 
-      sendResponse({
-        success: true,
-        data: JSON.stringify(exportData, null, 2),
-      });
-    });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
+/**
+ * Raw data key bytes sealed by sealSessionKey; throws once the session's
+ * key is gone
+ */
+async function openSessionKey(sealedKey) {
+  const { [SESSION_SEAL_KEY]: sealKey } = await sessionKeys.get(SESSION_SEAL_KEY);
+  if (!sealKey || !sealedKey) {
+    throw new Error('Session key is missing');
   }
+  return base64ToArrayBuffer(await decryptAESGCM(sealedKey, sealKey));
 }
 
-async function handleImportNotes(request, sendResponse) {
-  try {
-    const data = JSON.parse(request.data);
-    const notes = data.notes || [];
+/**
+ * Whether the vault has any key material yet
+ */
+async function hasVaultKey() {
+  const stored = await storage.get([
+    VAULT_KEYS_KEY,
+    'encryptionSalt',
+    KEY_CHECK_KEY,
+    'settings',
+  ]);
+  return !!(
+    stored[VAULT_KEYS_KEY] ||
+    stored.encryptionSalt ||
+    stored[KEY_CHECK_KEY] ||
+    stored.settings?.pinHash
+  );
+}
 
-    const importedNotes = {};
-    for (const note of notes) {
-      const noteKey = note.pageURL
-        ? `note:${note.pageURL}:${note.id}`
-        : `note:${note.id}`;
-      importedNotes[noteKey] = note;
-    }
+/**
+ * Recovery code
+ * An optional offline code that wraps the same data key as the PIN
+ * (wrappedKeys.recovery). Only its wrapped key is stored; the code itself is
+ * shown to the user once. 24 Crockford base32 characters = 120 random bits.
+ */
 
-    chrome.storage.local.set(importedNotes, () => {
-      sendResponse({ success: true, count: notes.length });
-    });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_GROUPS = 6;
+const RECOVERY_CODE_GROUP_LENGTH = 4;
+
+function generateRecoveryCode() {
+  const bytes = crypto.getRandomValues(
+    new Uint8Array(RECOVERY_CODE_GROUPS * RECOVERY_CODE_GROUP_LENGTH)
+  );
+  // 256 is a multiple of the 32-symbol alphabet, so the modulo is unbiased
+  const chars = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+
+  const groups = [];
+  for (let i = 0; i < chars.length; i += RECOVERY_CODE_GROUP_LENGTH) {
+    groups.push(chars.slice(i, i + RECOVERY_CODE_GROUP_LENGTH).join(''));
   }
+  return groups.join('-');
 }
 
-async function handleClearNotes(sendResponse) {
-  try {
-    chrome.storage.local.get(null, result => {
-      const keysToRemove = [];
-      for (const key of Object.keys(result)) {
-        if (key.startsWith('note:')) {
-          keysToRemove.push(key);
-        }
-      }
+/**
+ * Canonical form used as the wrapping secret: case, spaces and dashes are
+ * ignored and commonly confused letters map to their digits
+ */
+function normalizeRecoveryCode(code) {
+  return code
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+}
 
-      chrome.storage.local.remove(keysToRemove, () => {
-        sendResponse({ success: true, cleared: keysToRemove.length });
-      });
-    });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
-  }
+/**
+ * Create (or replace) the recovery code for a data key and return it
+ */
+async function createRecoveryCode(rawKey, settings) {
+  const code = generateRecoveryCode();
+  const kdf = getKdfPreset(settings.keyDerivation);
+  await storeWrappedKey('recovery', await wrapDataKey(rawKey, normalizeRecoveryCode(code), kdf));
+  return code;
 }
 
 /**
  * Crypto Functions (WebCrypto API)
  */
 
-async function derivePINKey(pin, salt) {
-  const baseKey = await crypto.subtle.importKey(
-    'raw',
-    new TextEncoder().encode(pin),
-    'PBKDF2',
-    false,
-    ['deriveKey']
-  );
-
+/**
+ * Derive an AES-GCM key from a PIN or passphrase with the given KDF parameters
+ * Raw bytes are returned too: for legacy vaults they are the data key, which
+ * the session keeps so it survives a worker restart. The CryptoKey itself is
+ * non-extractable.
+ */
+async function deriveSecretKey(secret, salt, kdf) {
   const finalSalt = salt || crypto.getRandomValues(
     new Uint8Array(CRYPTO_CONFIG.saltLength)
   );
 
-  const key = await crypto.subtle.deriveKey(
+  const rawKey = await deriveKeyBits(secret, finalSalt, kdf, CRYPTO_CONFIG.keyLength / 8);
+  const key = await importAESKey(rawKey);
+
+  return { key, rawKey, newSalt: finalSalt };
+}
+
+async function importAESKey(rawKey) {
+  return crypto.subtle.importKey(
+    'raw',
+    rawKey,
+    { name: 'AES-GCM', length: CRYPTO_CONFIG.keyLength },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Page identifiers
+ * Sealed page notes are filed under an HMAC of their normalized URL instead
+ * of the URL itself, so storage keys do not reveal which sites were
+ * annotated while a page's notes can still be found by key prefix. The HMAC
+ * key is derived from the data key with HKDF: stable across PIN changes and
+ * only available while unlocked.
+ */
+async function derivePageIdKey(rawKey) {
+  const baseKey = await crypto.subtle.importKey('raw', rawKey, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
     {
-      name: 'PBKDF2',
-      salt: finalSalt,
-      iterations: CRYPTO_CONFIG.iterations,
-      hash: CRYPTO_CONFIG.hash,
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(32),
+      info: new TextEncoder().encode('quietnote:page-id:v1'),
     },
     baseKey,
-    { name: 'AES-GCM', length: CRYPTO_CONFIG.keyLength },
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
     false,
-    ['encrypt', 'decrypt']
+    ['sign']
   );
+}
 
-  return { key, newSalt: finalSalt };
+async function getPageId(pageURL, key = pageIdKey) {
+  const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(pageURL));
+  // 128 bits; base64url keeps ':' out of storage keys
+  return arrayBufferToBase64(mac.slice(0, 16))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
 }
 
 async function encryptAESGCM(plaintext, key, salt) {
@@ -719,6 +3548,69 @@ async function decryptAESGCM(encrypted, key) {
   return new TextDecoder().decode(plaintext);
 }
 
+/**
+ * Note field envelopes
+ * Version 1 is the bare { ciphertext, iv, salt } from encryptAESGCM, which
+ * decrypts wherever it is pasted. Version 2 is { v, schema, iv, ciphertext }
+ * and authenticates the envelope version, note schema version, note id and
+ * field name as AES-GCM additional data, so swapping ciphertexts between
+ * notes or between fields fails to decrypt.
+ */
+const ENVELOPE_VERSION = 2;
+// 3: fields other than title and content moved into the metadata envelope
+const NOTE_SCHEMA_VERSION = 3;
+const ENCRYPTED_NOTE_FIELDS = ['title', 'content', 'metadata'];
+
+function isLegacyEnvelope(envelope) {
+  return envelope.v === undefined;
+}
+
+function envelopeAAD(version, schema, noteId, field) {
+  return new TextEncoder().encode(JSON.stringify(['quietnote', version, schema, noteId, field]));
+}
+
+async function encryptNoteField(plaintext, key, noteId, field) {
+  const iv = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.ivLength));
+  const ciphertext = await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv,
+      additionalData: envelopeAAD(ENVELOPE_VERSION, NOTE_SCHEMA_VERSION, noteId, field),
+    },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    v: ENVELOPE_VERSION,
+    schema: NOTE_SCHEMA_VERSION,
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv),
+  };
+}
+
+async function decryptNoteField(envelope, key, noteId, field) {
+  if (isLegacyEnvelope(envelope)) {
+    return decryptAESGCM(envelope, key);
+  }
+  if (envelope.v !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${envelope.v}`);
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: base64ToArrayBuffer(envelope.iv),
+      additionalData: envelopeAAD(envelope.v, envelope.schema, noteId, field),
+    },
+    key,
+    base64ToArrayBuffer(envelope.ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
+
+// Only used to accept legacy settings.pinHash values (see verifyPIN)
 async function hashData(data) {
   const buffer = await crypto.subtle.digest(
     'SHA-256',
@@ -762,20 +3654,223 @@ function normalizeUrl(url) {
  * Auto-lock functionality
  */
 
-function scheduleAutoLock(timerMs) {
-  // Clear existing timer
-  if (autoLockTimer) {
-    clearTimeout(autoLockTimer);
-    autoLockTimer = null;
-  }
+async function scheduleAutoLock(timerMs) {
+  // Clear existing alarm
+  await chrome.alarms.clear(AUTO_LOCK_ALARM);
+
+  const { [SESSION_STORAGE_KEY]: session } = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+  if (!session) return;
 
   // Only schedule if timer is set (not 0)
-  if (timerMs && timerMs > 0) {
-    autoLockTimer = setTimeout(() => {
-      console.log('[QuietNote] Auto-locking notes');
-      handleLock(() => {});
-    }, timerMs);
+  const expiresAt = timerMs && timerMs > 0 ? Date.now() + timerMs : null;
+  if (expiresAt) {
+    await chrome.alarms.create(AUTO_LOCK_ALARM, { when: expiresAt });
+  }
+
+  await chrome.storage.session.set({
+    [SESSION_STORAGE_KEY]: { ...session, expiresAt },
+  });
+}
+
+chrome.alarms.onAlarm.addListener(async alarm => {
+  if (alarm.name !== AUTO_LOCK_ALARM) return;
+
+  await sessionReady;
+  console.log('[QuietNote] Auto-locking notes');
+  await lockVault();
+});
+
+/**
+ * Make an unwrapped data key the active key and schedule auto-lock
+ * The raw key is mirrored, sealed, in session storage so a restarted worker
+ * stays unlocked. Callers broadcast the lock event once they have responded.
+ */
+async function startSession({ key, rawKey, salt }, settings) {
+  dropNoteIndex();
+  encryptionKey = key;
+  encryptionSalt = salt;
+  pageIdKey = await derivePageIdKey(rawKey);
+  lockState = { locked: false, lastUnlock: Date.now() };
+  storage.set({ lockState });
+
+  await chrome.storage.session.set({
+    [SESSION_STORAGE_KEY]: {
+      sealedKey: await sealSessionKey(rawKey),
+      salt: arrayBufferToBase64(salt),
+      unlockedAt: lockState.lastUnlock,
+      expiresAt: null,
+    },
+  });
+  await scheduleAutoLock(settings.autoLockTimer);
+  await loadPreviousKeys();
+  await flushPendingWrites();
+
+  resealStoredNotes().catch(error => {
+    console.warn('[QuietNote] Failed to reseal notes:', error);
+  });
+  resumeReencryptJob().catch(error => {
+    console.warn('[QuietNote] Failed to resume re-encryption:', error);
+  });
+}
+
+/**
+ * Clear the key from memory and session storage and cancel auto-lock
+ * Every open tab and extension page is told so it can drop decrypted text.
+ */
+async function lockVault({ notify = true } = {}) {
+  dropNoteIndex();
+  encryptionKey = null;
+  encryptionSalt = null;
+  pageIdKey = null;
+  previousKeys = null;
+  lockState = { locked: true, lastUnlock: 0 };
+
+  await Promise.all([
+    storage.set({ lockState }),
+    chrome.storage.session.remove(SESSION_STORAGE_KEY),
+    sessionKeys.remove(SESSION_SEAL_KEY),
+    chrome.alarms.clear(AUTO_LOCK_ALARM),
+  ]);
+
+  if (notify) {
+    broadcastLockEvent();
+  }
+}
+
+/**
+ * Lock event bus
+ * Sends LOCK_UPDATED { locked, lastUnlock } to extension pages (popup,
+ * settings) and to the content script in every tab.
+ */
+async function broadcastLockEvent() {
+  const event = { type: 'LOCK_UPDATED', ...lockState };
+
+  // No receiver (popup closed) is not an error
+  chrome.runtime.sendMessage(event).catch(() => {});
+
+  try {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.id === undefined) continue;
+      chrome.tabs.sendMessage(tab.id, event).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('[QuietNote] Failed to broadcast lock event:', error);
+  }
+}
+
+/**
+ * Note change events
+ * Every write to a note record is published as
+ *   NOTES_CHANGED { notes: [{ id, deleted }] }
+ * so open views (popup, in-page editors) can refresh in place when a note
+ * is edited, created or deleted elsewhere. Writes are gathered for
+ * NOTE_CHANGE_DELAY ms, so a note moved to another key (sealing changes
+ * its page ref) is reported once, as changed. Extension pages get every
+ * change; a tab only those of notes on its own page. Events never carry
+ * note content: views read it again through the usual messages.
+ */
+
+const NOTE_CHANGE_DELAY = 50;
+
+// Note id -> { pageRefs, deleted } of the writes not published yet
+const pendingNoteChanges = new Map();
+let noteChangeTimer = null;
+
+storage.onChanged(changes => {
+  for (const [key, { newValue }] of Object.entries(changes)) {
+    if (!key.startsWith('note:')) continue;
+
+    const { id, pageRef } = parseNoteKey(key);
+    const change = pendingNoteChanges.get(id) || { pageRefs: new Set(), deleted: true };
+    if (pageRef) change.pageRefs.add(pageRef);
+    change.deleted &&= newValue === undefined;
+    pendingNoteChanges.set(id, change);
+  }
+
+  if (pendingNoteChanges.size > 0 && !noteChangeTimer) {
+    noteChangeTimer = setTimeout(publishNoteChanges, NOTE_CHANGE_DELAY);
+  }
+});
+
+/**
+ * Id and page ref of a note storage key (see noteStorageKey)
+ * Ids never contain ':', page URLs may.
+ */
+function parseNoteKey(key) {
+  const rest = key.slice('note:'.length);
+  const separator = rest.lastIndexOf(':');
+  return separator === -1
+    ? { id: rest, pageRef: null }
+    : { id: rest.slice(separator + 1), pageRef: rest.slice(0, separator) };
+}
+
+async function publishNoteChanges() {
+  noteChangeTimer = null;
+  const changes = [...pendingNoteChanges].map(([id, change]) => ({ id, ...change }));
+  pendingNoteChanges.clear();
+  const toEvent = notes => ({
+    type: 'NOTES_CHANGED',
+    notes: notes.map(({ id, deleted }) => ({ id, deleted })),
+  });
+
+  // No receiver (popup closed) is not an error
+  chrome.runtime.sendMessage(toEvent(changes)).catch(() => {});
+
+  try {
+    const pageChanges = changes.filter(change => change.pageRefs.size > 0);
+    if (pageChanges.length === 0) return;
+
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.id === undefined || !tab.url) continue;
+
+      // A page's notes are stored under its URL, or its page id once sealed
+      const pageURL = normalizeUrl(tab.url);
+      const pageRefs = [pageURL];
+      for (const key of [pageIdKey, previousKeys?.pageIdKey]) {
+        if (key) pageRefs.push(await getPageId(pageURL, key));
+      }
+
+      const tabChanges = pageChanges.filter(change => pageRefs.some(ref => change.pageRefs.has(ref)));
+      if (tabChanges.length > 0) {
+        chrome.tabs.sendMessage(tab.id, toEvent(tabChanges)).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.warn('[QuietNote] Failed to publish note changes:', error);
+  }
+}
+
+/**
+ * Restore the unlocked session after the worker was terminated and restarted.
+ * Falls back to locked (and says so in storage) when the session is missing
+ * or its auto-lock deadline already passed.
+ */
+async function restoreSession() {
+  let session = null;
+  try {
+    // Keep the session key out of reach of content scripts
+    await chrome.storage.session.setAccessLevel?.({ accessLevel: 'TRUSTED_CONTEXTS' });
+
+    ({ [SESSION_STORAGE_KEY]: session } = await chrome.storage.session.get(SESSION_STORAGE_KEY));
+
+    if (session && (!session.expiresAt || session.expiresAt > Date.now())) {
+      const rawKey = await openSessionKey(session.sealedKey);
+      encryptionKey = await importAESKey(rawKey);
+      encryptionSalt = base64ToArrayBuffer(session.salt);
+      pageIdKey = await derivePageIdKey(rawKey);
+      await loadPreviousKeys();
+      lockState = { locked: false, lastUnlock: session.unlockedAt };
+      console.log('[QuietNote] Restored unlocked session');
+      return;
+    }
+  } catch (error) {
+    console.error('[QuietNote] Failed to restore session:', error);
   }
+
+  // Only announce the lock if a session existed (it expired while we were down)
+  await lockVault({ notify: !!session });
 }
 
 /**
@@ -817,7 +3912,7 @@ function normalizeColor(color) {
 
 async function runMigration() {
   try {
-    const migrationDone = await chrome.storage.local.get('migration_v2_done');
+    const migrationDone = await storage.get('migration_v2_done');
 
     if (migrationDone['migration_v2_done']) {
       console.log('[QuietNote] ✅ Migration already completed');
@@ -826,8 +3921,7 @@ async function runMigration() {
 
     console.log('[QuietNote] 🚀 Starting migration to v2 schema...');
 
-    const allStorage = await chrome.storage.local.get(null);
-    const settings = allStorage.settings || DEFAULT_SETTINGS;
+    const { settings = DEFAULT_SETTINGS } = await storage.get('settings');
     const defaultPosition = settings.defaultNotePosition || 'top-right';
     const defaultSize = settings.defaultNoteSize || 'medium';
 
@@ -835,13 +3929,14 @@ async function runMigration() {
     const toDelete = [];
     let migratedCount = 0;
 
-    for (const [key, value] of Object.entries(allStorage)) {
-      if (!key.startsWith('note:')) continue;
-
+    for (const [key, value] of Object.entries(await storage.getByPrefix('note:'))) {
       const oldNote = value;
 
       // Check if already migrated
-      if (oldNote.position && oldNote.size && oldNote.hasOwnProperty('pageURL')) {
+      if (
+        (oldNote.position && oldNote.size && oldNote.hasOwnProperty('pageURL')) ||
+        oldNote._metadata?.metadataEncryptionMetadata
+      ) {
         console.log(`[QuietNote] ⏭️ Skipping already migrated: ${oldNote.id}`);
         continue;
       }
@@ -885,17 +3980,17 @@ async function runMigration() {
     // Save migrated notes
     if (Object.keys(updates).length > 0) {
       console.log(`[QuietNote] 💾 Saving ${migratedCount} migrated notes...`);
-      await chrome.storage.local.set(updates);
+      await storage.set(updates);
     }
 
     // Delete old keys
     if (toDelete.length > 0) {
       console.log(`[QuietNote] 🗑️ Removing ${toDelete.length} old note keys...`);
-      await chrome.storage.local.remove(toDelete);
+      await storage.remove(toDelete);
     }
 
     // Mark migration complete
-    await chrome.storage.local.set({ migration_v2_done: true });
+    await storage.set({ migration_v2_done: true });
 
     console.log('[QuietNote] ✅ Migration completed successfully');
     console.log(`[QuietNote]    Migrated: ${migratedCount} notes`);
@@ -905,6 +4000,29 @@ async function runMigration() {
   }
 }
 
+/**
+ * OPEN_VAULT
+ * Opens the popup for content scripts, which cannot open extension pages.
+ * Response: { success }
+ */
+async function handleOpenVault(sendResponse) {
+  try {
+    await openVault();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function openVault() {
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    // openPopup needs a user gesture in some browsers; open it in a tab
+    await chrome.tabs.create({ url: chrome.runtime.getURL('ui/popup.html') });
+  }
+}
+
 /**
  * Keyboard shortcuts
  */
@@ -922,12 +4040,15 @@ chrome.commands.onCommand.addListener(command => {
       break;
 
     case 'open-vault':
-      chrome.action.openPopup();
+      openVault().catch(error => {
+        console.warn('[QuietNote] Failed to open the vault:', error);
+      });
       break;
 
     case 'lock-now':
-      handleLock(() => {
-        chrome.runtime.sendMessage({ type: 'LOCK_UPDATED' }).catch(() => {});
+      // lockVault broadcasts LOCK_UPDATED to tabs and extension pages
+      handleLock(() => {}).catch(error => {
+        console.warn('[QuietNote] Failed to lock:', error);
       });
       break;
 
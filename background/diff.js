@@ -0,0 +1,74 @@
+/**
+ * QuietNote Line Diff
+ * Line-by-line comparison of two versions of a note, shared by the merge of
+ * conflicting edits (merge.js) and the popup's revision history. Lines
+ * shared at the start and end are matched first; the rest by their longest
+ * common subsequence, unless that would be too slow to compute.
+ */
+
+// Above this many line pairs the middle of the texts is not matched line by
+// line: every line of one version is removed and every line of the other added
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Line diff of two texts
+ * Where the versions differ, the lines only `before` has come first.
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ type: 'same' | 'removed' | 'added', text: string }[]}
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = lines => lines.map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = midA.length * midB.length > MAX_DIFF_CELLS
+    ? [
+      ...midA.map(text => ({ type: 'removed', text })),
+      ...midB.map(text => ({ type: 'added', text })),
+    ]
+    : diffMiddle(midA, midB);
+
+  return [...same(a.slice(0, start)), ...middle, ...same(a.slice(endA))];
+}
+
+function diffMiddle(a, b) {
+  // lengths[i][j]: longest common subsequence of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  return lines;
+}
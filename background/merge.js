@@ -0,0 +1,27 @@
+/**
+ * QuietNote Note Merge
+ * Combines two versions of a note that were edited at the same time (see
+ * the CONFLICT response of UPDATE_NOTE). Lines are matched by their line
+ * diff (diff.js); lines only one version has are all kept, the current
+ * version's first, so neither edit is lost. The result is meant to be
+ * reviewed in the editor before it is saved.
+ */
+
+import { diffLines } from './diff.js';
+
+/**
+ * Merge the text of two versions of a note
+ * @param {string} current - version in storage
+ * @param {string} attempted - version whose save conflicted
+ * @returns {string}
+ */
+export function mergeText(current, attempted) {
+  if (current === attempted || !attempted) {
+    return current;
+  }
+  if (!current) {
+    return attempted;
+  }
+
+  return diffLines(current, attempted).map(line => line.text).join('\n');
+}
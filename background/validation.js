@@ -0,0 +1,501 @@
+/**
+ * QuietNote Message Validation
+ * Declarative payload schemas for every background message type.
+ * Note and settings shapes mirror Note / StorageSettings in storage/storage.ts.
+ */
+
+import { SECRET_KINDS } from '../crypto/secret-policy.js';
+import { KDF_PRESETS } from '../crypto/kdf.js';
+
+/**
+ * Error codes returned in validation error details
+ */
+export const VALIDATION_CODES = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  INVALID_JSON: 'INVALID_JSON',
+};
+
+const LIMITS = {
+  idLength: 128,
+  titleLength: 1000,
+  contentLength: 1000000,
+  urlLength: 2048,
+  secretLength: 256,
+  tagCount: 50,
+  tagLength: 64,
+  importNotes: 10000,
+  listNotes: 1000,
+  revisions: 100,
+  storageKeyLength: 4096,
+};
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const PAGE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+/**
+ * Schema building blocks
+ * Each field is { type, required?, nullable?, ...constraints }
+ */
+const id = { type: 'string', pattern: ID_PATTERN, maxLength: LIMITS.idLength };
+const url = { type: 'string', minLength: 1, maxLength: LIMITS.urlLength };
+const timestamp = { type: 'number', integer: true, min: 0 };
+const revision = { type: 'number', integer: true, min: 0 };
+const base64 = { type: 'string', pattern: BASE64_PATTERN };
+
+const encryptionResult = {
+  type: 'object',
+  fields: {
+    // Version 2 note field envelope (version 1 has neither)
+    v: { type: 'number', integer: true, min: 1 },
+    schema: { type: 'number', integer: true, min: 1 },
+    ciphertext: { ...base64, required: true },
+    iv: { ...base64, required: true },
+    salt: base64,
+    tag: { type: 'string' },
+  },
+};
+
+// Note (storage/storage.ts) - all fields optional here; messages mark what they need
+const NOTE_FIELDS = {
+  id,
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  title: { type: 'string', maxLength: LIMITS.titleLength },
+  content: { type: 'string', maxLength: LIMITS.contentLength },
+  color: { type: 'string', pattern: COLOR_PATTERN },
+  position: {
+    type: 'object',
+    fields: {
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true },
+    },
+  },
+  size: {
+    type: 'object',
+    fields: {
+      width: { type: 'number', min: 1, required: true },
+      height: { type: 'number', min: 1, required: true },
+    },
+  },
+  pageURL: { ...url, nullable: true },
+  masked: { type: 'boolean' },
+  revision,
+  tags: {
+    type: 'array',
+    maxItems: LIMITS.tagCount,
+    items: { type: 'string', maxLength: LIMITS.tagLength },
+  },
+  pinned: { type: 'boolean' },
+};
+
+// NoteMetadata (storage/storage.ts), present on stored notes
+const NOTE_METADATA = {
+  type: 'object',
+  allowUnknown: true,
+  fields: {
+    tags: NOTE_FIELDS.tags,
+    pinned: NOTE_FIELDS.pinned,
+    encrypted: { type: 'boolean' },
+    titleEncryptionMetadata: encryptionResult,
+    contentEncryptionMetadata: encryptionResult,
+    metadataEncryptionMetadata: encryptionResult,
+  },
+};
+
+const oneOf = values => ({ type: 'string', enum: values });
+
+// Fields GET_ALL_NOTES can project notes onto; preview is the start of the content
+const NOTE_LIST_FIELDS = [...Object.keys(NOTE_FIELDS), 'preview'];
+
+// New PIN or passphrase; the policy itself is checked by the handler
+const newSecret = { type: 'string', required: true, minLength: 1, maxLength: LIMITS.secretLength };
+const secretKind = oneOf(SECRET_KINDS);
+
+// StorageSettings (storage/storage.ts) - partial updates
+const SETTINGS_FIELDS = {
+  securityLevel: oneOf(['full', 'medium', 'none']),
+  requirePIN: { type: 'boolean' },
+  autoLockTimer: { type: 'number', integer: true, min: 0, max: 86400000 },
+  encryptionEnabled: { type: 'boolean' },
+  maskNoteText: { type: 'boolean' },
+  rateLimitPINAttempts: { type: 'boolean' },
+  passphrasePolicy: {
+    type: 'object',
+    fields: {
+      minLength: { type: 'number', integer: true, min: 8, max: 128 },
+      requireLowercase: { type: 'boolean' },
+      requireUppercase: { type: 'boolean' },
+      requireDigit: { type: 'boolean' },
+      requireSymbol: { type: 'boolean' },
+    },
+  },
+  keyDerivation: oneOf(Object.keys(KDF_PRESETS)),
+  theme: oneOf(['light', 'dark', 'solarized']),
+  defaultNoteColor: { type: 'string', pattern: COLOR_PATTERN },
+  noteFontSize: oneOf(['small', 'medium', 'large']),
+  noteTransparency: { type: 'number', min: 0, max: 100 },
+  enableAnimations: { type: 'boolean' },
+  enablePageNotes: { type: 'boolean' },
+  enablePersonalNotes: { type: 'boolean' },
+  enableAutoSave: { type: 'boolean' },
+  enableAutoHide: { type: 'boolean' },
+  enableDragSnap: { type: 'boolean' },
+  defaultNotePosition: oneOf(['top-right', 'top-left', 'bottom-right', 'bottom-left']),
+  defaultNoteSize: oneOf(['small', 'medium', 'large']),
+  revisionLimit: { type: 'number', integer: true, min: 0, max: LIMITS.revisions },
+  revisionMaxAge: { type: 'number', integer: true, min: 0 },
+  trashRetention: { type: 'number', integer: true, min: 0 },
+  shortcuts: {
+    type: 'object',
+    fields: {
+      newPageNote: { type: 'string', maxLength: 32 },
+      openVault: { type: 'string', maxLength: 32 },
+      lockNow: { type: 'string', maxLength: 32 },
+      toggleSidebar: { type: 'string', maxLength: 32 },
+    },
+  },
+};
+
+const settings = { type: 'object', required: true, fields: SETTINGS_FIELDS };
+
+const storedNote = {
+  type: 'object',
+  fields: {
+    ...NOTE_FIELDS,
+    id: { ...id, required: true },
+    // HMAC of pageURL on sealed notes (base64url)
+    pageId: { type: 'string', pattern: PAGE_ID_PATTERN, nullable: true },
+    title: { type: 'string', maxLength: LIMITS.contentLength },
+    content: { type: 'string', maxLength: LIMITS.contentLength * 2 },
+    _metadata: NOTE_METADATA,
+  },
+};
+
+/**
+ * Payload schema per message type (fields besides `type`)
+ */
+export const MESSAGE_SCHEMAS = {
+  GET_SETTINGS: {},
+  UPDATE_SETTINGS: { settings },
+  // The settings page round-trips the stored object; pinHash is ignored
+  SAVE_SETTINGS: {
+    settings: { ...settings, fields: { ...SETTINGS_FIELDS, pinHash: { type: 'string' } } },
+  },
+
+  UNLOCK: { pin: { type: 'string', required: true, minLength: 1, maxLength: LIMITS.secretLength } },
+  LOCK: {},
+  LOCK_NOW: {},
+  GET_LOCK_STATE: {},
+  CHECK_LOCK_STATUS: {},
+  OPEN_VAULT: {},
+
+  CREATE_NOTE: {
+    note: {
+      type: 'object',
+      required: true,
+      fields: {
+        ...NOTE_FIELDS,
+        id: { ...id, required: true },
+        title: { ...NOTE_FIELDS.title, required: true },
+        content: { ...NOTE_FIELDS.content, required: true },
+      },
+    },
+  },
+  GET_NOTE: { id: { ...id, required: true }, pageURL: NOTE_FIELDS.pageURL },
+  UPDATE_NOTE: {
+    note: {
+      type: 'object',
+      required: true,
+      fields: {
+        ...NOTE_FIELDS,
+        id: { ...id, required: true },
+        title: { ...NOTE_FIELDS.title, required: true },
+        content: { ...NOTE_FIELDS.content, required: true },
+      },
+    },
+    baseRevision: revision,
+  },
+  DELETE_NOTE: { id: { ...id, required: true }, pageURL: NOTE_FIELDS.pageURL },
+  LIST_REVISIONS: { id: { ...id, required: true }, pageURL: NOTE_FIELDS.pageURL },
+  RESTORE_REVISION: {
+    id: { ...id, required: true },
+    pageURL: NOTE_FIELDS.pageURL,
+    revisionId: { ...id, required: true },
+  },
+  LIST_TRASH: {},
+  RESTORE_NOTE: { id: { ...id, required: true }, url },
+  PURGE_TRASH: { id },
+  GET_ALL_NOTES: {
+    pageURL: NOTE_FIELDS.pageURL,
+    offset: { type: 'number', integer: true, min: 0 },
+    limit: { type: 'number', integer: true, min: 1, max: LIMITS.listNotes },
+    fields: {
+      type: 'array',
+      maxItems: NOTE_LIST_FIELDS.length,
+      items: oneOf(NOTE_LIST_FIELDS),
+    },
+  },
+
+  SET_PIN: {
+    pin: newSecret,
+    kind: secretKind,
+    createRecoveryCode: { type: 'boolean' },
+  },
+  CHANGE_PIN: {
+    currentPin: { type: 'string', required: true, minLength: 1, maxLength: LIMITS.secretLength },
+    newPin: newSecret,
+    kind: secretKind,
+  },
+  SET_SECURITY_LEVEL: {
+    level: { ...SETTINGS_FIELDS.securityLevel, required: true },
+    confirmed: { type: 'boolean' },
+  },
+  GET_REENCRYPT_JOB: {},
+  CANCEL_REENCRYPT_JOB: {},
+  RESUME_REENCRYPT_JOB: {},
+  ROTATE_DATA_KEY: {
+    pin: { type: 'string', required: true, minLength: 1, maxLength: LIMITS.secretLength },
+  },
+  VERIFY_VAULT: {
+    repair: oneOf(['quarantine', 'export', 'delete']),
+    keys: {
+      type: 'array',
+      maxItems: LIMITS.importNotes,
+      items: { type: 'string', minLength: 1, maxLength: LIMITS.storageKeyLength },
+    },
+  },
+  GET_STORAGE_USAGE: {},
+  GET_RECOVERY_STATUS: {},
+  REGENERATE_RECOVERY_CODE: {},
+  DISABLE_RECOVERY: {},
+  RECOVER_VAULT: {
+    recoveryCode: { type: 'string', required: true, minLength: 1, maxLength: LIMITS.secretLength },
+    newPin: newSecret,
+    kind: secretKind,
+  },
+  VERIFY_PIN: { pin: { type: 'string', required: true, maxLength: LIMITS.secretLength } },
+  ENCRYPT_DATA: { data: { type: 'string', required: true, maxLength: LIMITS.contentLength } },
+  DECRYPT_DATA: { encrypted: { ...encryptionResult, required: true } },
+
+  EXPORT_NOTES: {},
+  IMPORT_NOTES: {
+    data: {
+      type: 'json',
+      required: true,
+      schema: {
+        type: 'object',
+        allowUnknown: true,
+        fields: {
+          notes: { type: 'array', required: true, maxItems: LIMITS.importNotes, items: storedNote },
+        },
+      },
+    },
+  },
+  CLEAR_NOTES: {},
+
+  GET_PAGE_NOTE: { url: { ...url, required: true } },
+  SAVE_PAGE_NOTE: {
+    url: { ...url, required: true },
+    id: { ...id, nullable: true },
+    title: NOTE_FIELDS.title,
+    content: { ...NOTE_FIELDS.content, required: true },
+    baseRevision: revision,
+  },
+  DELETE_PAGE_NOTE: { url: { ...url, required: true }, id: { ...id, nullable: true } },
+
+  GET_POPUP_STATE: {},
+  SAVE_NOTE: {
+    id: { ...id, nullable: true },
+    pageURL: NOTE_FIELDS.pageURL,
+    title: NOTE_FIELDS.title,
+    content: { ...NOTE_FIELDS.content, required: true },
+    baseRevision: revision,
+  },
+};
+
+/**
+ * Validate a message against MESSAGE_SCHEMAS
+ * Returns null when valid, otherwise a structured error response:
+ * { success: false, code: 'VALIDATION_ERROR', error, details: [{ path, code, message }] }
+ */
+export function validateMessage(request) {
+  if (!isPlainObject(request) || typeof request.type !== 'string') {
+    return validationFailure([
+      { path: '', code: VALIDATION_CODES.INVALID_MESSAGE, message: 'Message must be an object with a type' },
+    ]);
+  }
+
+  const schema = MESSAGE_SCHEMAS[request.type];
+  if (!schema) {
+    return validationFailure([
+      { path: 'type', code: VALIDATION_CODES.INVALID_MESSAGE, message: `No schema for ${request.type}` },
+    ]);
+  }
+
+  const { type, ...payload } = request;
+  const errors = [];
+  validateObject(payload, { fields: schema }, '', errors);
+
+  return errors.length > 0 ? validationFailure(errors) : null;
+}
+
+function validationFailure(details) {
+  return {
+    success: false,
+    code: 'VALIDATION_ERROR',
+    error: `Invalid message: ${details[0].path || 'message'} ${details[0].message}`,
+    details,
+  };
+}
+
+function validateObject(value, schema, path, errors) {
+  const fields = schema.fields || {};
+
+  for (const [name, fieldSchema] of Object.entries(fields)) {
+    validateField(value[name], fieldSchema, joinPath(path, name), errors);
+  }
+
+  if (!schema.allowUnknown) {
+    for (const name of Object.keys(value)) {
+      if (!(name in fields)) {
+        errors.push({
+          path: joinPath(path, name),
+          code: VALIDATION_CODES.UNKNOWN_FIELD,
+          message: 'is not an allowed field',
+        });
+      }
+    }
+  }
+}
+
+function validateField(value, schema, path, errors) {
+  if (value === undefined) {
+    if (schema.required) {
+      errors.push({ path, code: VALIDATION_CODES.MISSING_FIELD, message: 'is required' });
+    }
+    return;
+  }
+
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must not be null' });
+    }
+    return;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      validateString(value, schema, path, errors);
+      break;
+
+    case 'number':
+      validateNumber(value, schema, path, errors);
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be a boolean' });
+      }
+      break;
+
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be an object' });
+      } else {
+        validateObject(value, schema, path, errors);
+      }
+      break;
+
+    case 'array':
+      validateArray(value, schema, path, errors);
+      break;
+
+    case 'json':
+      validateJSON(value, schema, path, errors);
+      break;
+
+    default:
+      errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: `has unknown schema type ${schema.type}` });
+  }
+}
+
+function validateString(value, schema, path, errors) {
+  if (typeof value !== 'string') {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be a string' });
+    return;
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, code: VALIDATION_CODES.OUT_OF_RANGE, message: `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path, code: VALIDATION_CODES.OUT_OF_RANGE, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_FORMAT, message: 'has an invalid format' });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_FORMAT, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be a finite number' });
+    return;
+  }
+  if (schema.integer && !Number.isInteger(value)) {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be an integer' });
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push({ path, code: VALIDATION_CODES.OUT_OF_RANGE, message: `must be >= ${schema.min}` });
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push({ path, code: VALIDATION_CODES.OUT_OF_RANGE, message: `must be <= ${schema.max}` });
+  }
+}
+
+function validateArray(value, schema, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be an array' });
+    return;
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, code: VALIDATION_CODES.OUT_OF_RANGE, message: `must have at most ${schema.maxItems} items` });
+    return;
+  }
+  value.forEach((item, index) => {
+    validateField(item, { ...schema.items, required: true }, `${path}[${index}]`, errors);
+  });
+}
+
+function validateJSON(value, schema, path, errors) {
+  if (typeof value !== 'string') {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_TYPE, message: 'must be a JSON string' });
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    errors.push({ path, code: VALIDATION_CODES.INVALID_JSON, message: 'is not valid JSON' });
+    return;
+  }
+
+  validateField(parsed, { ...schema.schema, required: true }, path, errors);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function joinPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
@@ -75,20 +75,15 @@ function injectFloatingButton() {
 
       if (response?.locked) {
         // Show PIN modal
-        showPINModal(async (pin) => {
-          try {
-            const unlockResponse = await sendBackgroundMessage({
-              type: 'UNLOCK',
-              pin: pin
-            });
-            if (unlockResponse?.success) {
-              showNoteEditor();
-            } else {
-              showNotification('Invalid PIN', 'error');
-            }
-          } catch (error) {
-            showNotification('Error unlocking notes', 'error');
+        showPINModal(response.secretKind, async (pin) => {
+          const unlockResponse = await sendBackgroundMessage({
+            type: 'UNLOCK',
+            pin: pin
+          });
+          if (unlockResponse?.success) {
+            showNoteEditor();
           }
+          return unlockResponse;
         });
       } else {
         showNoteEditor();
@@ -152,7 +147,15 @@ async function showNoteEditor() {
       url: PAGE_URL
     });
 
-    const note = response?.note || '';
+    if (response?.locked) {
+      showNotification('Notes are locked', 'error');
+      return;
+    }
+
+    let note = response?.note || null;
+    const noteCount = (count) => count > 1
+      ? `${count} notes on this page – showing the latest`
+      : '';
 
     // Create modal
     const modal = document.createElement('div');
@@ -163,7 +166,16 @@ async function showNoteEditor() {
           <h2>📝 Page Note</h2>
           <button class="quietnote-close-btn" aria-label="Close">✕</button>
         </div>
-        <textarea class="quietnote-textarea" placeholder="Add a note for this page...">${escapeHtml(note)}</textarea>
+        <p class="quietnote-note-count" ${response?.notes?.length > 1 ? '' : 'hidden'}>${noteCount(response?.notes?.length)}</p>
+        <textarea class="quietnote-textarea" placeholder="Add a note for this page...">${escapeHtml(note?.content || '')}</textarea>
+        <div class="quietnote-conflict" hidden>
+          <p>This note was changed in another tab while you were editing.</p>
+          <div class="quietnote-conflict-actions">
+            <button class="quietnote-btn-merge">Merge</button>
+            <button class="quietnote-btn-overwrite">Overwrite</button>
+            <button class="quietnote-btn-keep-both">Keep both</button>
+          </div>
+        </div>
         <div class="quietnote-modal-footer">
           <button class="quietnote-btn-save">Save</button>
           <button class="quietnote-btn-delete">Delete</button>
@@ -180,38 +192,166 @@ async function showNoteEditor() {
     const saveBtn = modal.querySelector('.quietnote-btn-save');
     const deleteBtn = modal.querySelector('.quietnote-btn-delete');
     const textarea = modal.querySelector('.quietnote-textarea');
+    const conflictBar = modal.querySelector('.quietnote-conflict');
+
+    // Revision the text in the editor is based on; a save fails with
+    // CONFLICT when the note has been changed since
+    let baseRevision = note ? note.revision ?? 0 : undefined;
+    let conflict = null;
 
     const closeModal = () => {
       modal.remove();
     };
 
+    // Notes of this page changed in another tab or the popup (NOTES_CHANGED).
+    // The editor follows them while its text is unedited here; once edited,
+    // saving reports the conflict instead.
+    let loadedContent = textarea.value;
+    const unedited = () => conflictBar.hidden && textarea.value === loadedContent;
+    modal.handleNotesChanged = async (changes) => {
+      if (!unedited()) return;
+
+      const latest = await sendBackgroundMessage({ type: 'GET_PAGE_NOTE', url: PAGE_URL });
+      if (!latest?.success || !unedited()) return;
+
+      const countLine = modal.querySelector('.quietnote-note-count');
+      countLine.textContent = noteCount(latest.notes.length);
+      countLine.hidden = latest.notes.length <= 1;
+
+      if (note && !latest.notes.some((n) => n.id === note.id)) {
+        closeModal();
+        showNotification('This note was deleted elsewhere', 'info');
+        return;
+      }
+      // An editor opened for a new note takes the one created elsewhere
+      const current = note
+        ? latest.notes.find((n) => n.id === note.id)
+        : latest.note;
+      if (current && changes.some((c) => c.id === current.id)) {
+        note = current;
+        baseRevision = current.revision ?? 0;
+        textarea.value = loadedContent = current.content;
+      }
+    };
+
     closeBtn.addEventListener('click', closeModal);
     cancelBtn.addEventListener('click', closeModal);
 
-    saveBtn.addEventListener('click', async () => {
+    const saveNote = async ({ asNew = false } = {}) => {
+      const id = asNew ? undefined : note?.id;
       try {
-        const content = textarea.value;
-        await sendBackgroundMessage({
+        const saveMessage = {
           type: 'SAVE_PAGE_NOTE',
           url: PAGE_URL,
-          content: content
-        });
+          id,
+          content: textarea.value,
+          baseRevision: id ? baseRevision : undefined
+        };
+        const saveResponse = await sendBackgroundMessage(saveMessage);
+
+        if (saveResponse?.code === 'CONFLICT') {
+          conflict = saveResponse;
+          conflictBar.hidden = false;
+          return;
+        }
+
+        // Locked since the editor opened: a queued save completes on
+        // unlock, otherwise it is sent again
+        if (saveResponse?.code === 'LOCKED') {
+          showPINModal(saveResponse.secretKind, async (pin) => {
+            const unlockResponse = await sendBackgroundMessage({ type: 'UNLOCK', pin });
+            if (unlockResponse?.success) {
+              const retry = saveResponse.queued
+                ? { success: true }
+                : await sendBackgroundMessage(saveMessage);
+              showNotification(retry?.success ? 'Note saved' : 'Error saving note', retry?.success ? 'success' : 'error');
+              closeModal();
+            }
+            return unlockResponse;
+          });
+          return;
+        }
+
+        if (!saveResponse?.success) {
+          throw new Error(saveResponse?.error || 'Save failed');
+        }
         showNotification('Note saved', 'success');
         closeModal();
       } catch (error) {
         showNotification('Error saving note', 'error');
       }
+    };
+
+    saveBtn.addEventListener('click', () => saveNote());
+
+    // Merge: both edits in the editor, saved over the current version once reviewed
+    modal.querySelector('.quietnote-btn-merge').addEventListener('click', () => {
+      textarea.value = conflict.merged.content;
+      baseRevision = conflict.current.revision ?? 0;
+      conflictBar.hidden = true;
+    });
+    modal.querySelector('.quietnote-btn-overwrite').addEventListener('click', () => {
+      baseRevision = conflict.current.revision ?? 0;
+      conflictBar.hidden = true;
+      saveNote();
+    });
+    // Keep both: this edit becomes a new note on the page
+    modal.querySelector('.quietnote-btn-keep-both').addEventListener('click', () => {
+      conflictBar.hidden = true;
+      saveNote({ asNew: true });
     });
 
     deleteBtn.addEventListener('click', async () => {
       if (confirm('Delete this note?')) {
         try {
-          await sendBackgroundMessage({
+          const deleteMessage = {
             type: 'DELETE_PAGE_NOTE',
-            url: PAGE_URL
-          });
-          showNotification('Note deleted', 'success');
+            url: PAGE_URL,
+            id: note?.id
+          };
+          const deleteResponse = await sendBackgroundMessage(deleteMessage);
+
+          // Locked since the editor opened: delete once unlocked
+          if (deleteResponse?.code === 'LOCKED') {
+            showPINModal(deleteResponse.secretKind, async (pin) => {
+              const unlockResponse = await sendBackgroundMessage({ type: 'UNLOCK', pin });
+              if (unlockResponse?.success) {
+                const retry = await sendBackgroundMessage(deleteMessage);
+                if (retry?.success) {
+                  showNotification(retry.trashed ? 'Note moved to trash' : 'Note deleted', 'success');
+                } else {
+                  showNotification('Error deleting note', 'error');
+                }
+                closeModal();
+              }
+              return unlockResponse;
+            });
+            return;
+          }
+          if (!deleteResponse?.success) {
+            throw new Error(deleteResponse?.error || 'Delete failed');
+          }
           closeModal();
+
+          // Trashed notes can be put back from the toast
+          if (deleteResponse?.trashed && note?.id) {
+            showNotification('Note moved to trash', 'success', {
+              label: 'Undo',
+              onClick: async () => {
+                const restoreResponse = await sendBackgroundMessage({
+                  type: 'RESTORE_NOTE',
+                  url: PAGE_URL,
+                  id: note.id
+                });
+                showNotification(
+                  restoreResponse?.success ? 'Note restored' : 'Error restoring note',
+                  restoreResponse?.success ? 'success' : 'error'
+                );
+              }
+            });
+          } else {
+            showNotification('Note deleted', 'success');
+          }
         } catch (error) {
           showNotification('Error deleting note', 'error');
         }
@@ -228,8 +368,13 @@ async function showNoteEditor() {
 
 /**
  * Show PIN modal for unlocking
+ * secretKind ('pin' or 'passphrase') picks the prompt and input rules.
+ * callback(pin) resolves to the UNLOCK response; the modal stays open on
+ * failure and counts down while attempts are rate limited.
  */
-function showPINModal(callback) {
+function showPINModal(secretKind, callback) {
+  const isPIN = secretKind !== 'passphrase';
+  const label = isPIN ? 'PIN' : 'passphrase';
   const modal = document.createElement('div');
   modal.className = 'quietnote-modal quietnote-pin-modal';
   modal.innerHTML = `
@@ -237,8 +382,9 @@ function showPINModal(callback) {
       <div class="quietnote-modal-header">
         <h2>🔒 Unlock Notes</h2>
       </div>
-      <p class="quietnote-pin-prompt">Enter your PIN</p>
-      <input type="password" class="quietnote-pin-input" maxlength="8" placeholder="••••" />
+      <p class="quietnote-pin-prompt">Enter your ${label}</p>
+      <input type="password" class="quietnote-pin-input${isPIN ? '' : ' quietnote-passphrase-input'}" maxlength="${isPIN ? 8 : 256}" inputmode="${isPIN ? 'numeric' : 'text'}" placeholder="${isPIN ? '••••' : ''}" autocomplete="off" />
+      <p class="quietnote-pin-error" role="alert"></p>
       <div class="quietnote-modal-footer">
         <button class="quietnote-btn-unlock">Unlock</button>
         <button class="quietnote-btn-cancel">Cancel</button>
@@ -249,15 +395,75 @@ function showPINModal(callback) {
   document.body.appendChild(modal);
 
   const pinInput = modal.querySelector('.quietnote-pin-input');
+  const errorText = modal.querySelector('.quietnote-pin-error');
   const unlockBtn = modal.querySelector('.quietnote-btn-unlock');
   const cancelBtn = modal.querySelector('.quietnote-btn-cancel');
+  let retryTimer = null;
+
+  const closeModal = () => {
+    clearInterval(retryTimer);
+    modal.remove();
+  };
+
+  const setDisabled = (disabled) => {
+    pinInput.disabled = disabled;
+    unlockBtn.disabled = disabled;
+  };
+
+  const startCountdown = (seconds, prefix) => {
+    let remaining = seconds;
+    const render = () => {
+      errorText.textContent = `${prefix} Try again in ${remaining}s.`;
+    };
 
-  const closeModal = () => modal.remove();
+    clearInterval(retryTimer);
+    setDisabled(true);
+    render();
+
+    retryTimer = setInterval(() => {
+      remaining--;
+      if (remaining <= 0) {
+        clearInterval(retryTimer);
+        errorText.textContent = '';
+        setDisabled(false);
+        pinInput.focus();
+        return;
+      }
+      render();
+    }, 1000);
+  };
 
-  unlockBtn.addEventListener('click', () => {
+  unlockBtn.addEventListener('click', async () => {
     const pin = pinInput.value;
-    closeModal();
-    callback(pin);
+    setDisabled(true);
+
+    let response;
+    try {
+      response = await callback(pin);
+    } catch (error) {
+      setDisabled(false);
+      errorText.textContent = 'Error unlocking notes';
+      return;
+    }
+
+    if (response?.success) {
+      closeModal();
+      return;
+    }
+
+    pinInput.value = '';
+    if (response?.code === 'LOCKED_OUT') {
+      startCountdown(response.retryAfter, 'Too many attempts.');
+    } else if (response?.code === 'INVALID_PIN' && response.retryAfter) {
+      startCountdown(
+        response.retryAfter,
+        `Invalid ${label} (${response.attemptsRemaining} attempts left).`
+      );
+    } else {
+      setDisabled(false);
+      errorText.textContent = response?.error || `Invalid ${label}`;
+      pinInput.focus();
+    }
   });
 
   cancelBtn.addEventListener('click', closeModal);
@@ -273,21 +479,35 @@ function showPINModal(callback) {
 
 /**
  * Show notification toast
+ * An action ({ label, onClick }) adds a button and keeps the toast up longer.
  */
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', action = null) {
   const notification = document.createElement('div');
   notification.className = `quietnote-notification quietnote-notification-${type}`;
   notification.textContent = message;
   document.body.appendChild(notification);
 
+  const dismiss = () => {
+    notification.classList.remove('quietnote-show');
+    setTimeout(() => notification.remove(), 300);
+  };
+
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'quietnote-notification-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      dismiss();
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+
   setTimeout(() => {
     notification.classList.add('quietnote-show');
   }, 10);
 
-  setTimeout(() => {
-    notification.classList.remove('quietnote-show');
-    setTimeout(() => notification.remove(), 300);
-  }, 3000);
+  setTimeout(dismiss, action ? 6000 : 3000);
 }
 
 /**
@@ -300,9 +520,42 @@ function escapeHtml(text) {
 }
 
 /**
- * Handle keyboard shortcuts
+ * Close open note editors and wipe their decrypted text from the DOM
+ */
+function closeNoteEditors() {
+  const editors = document.querySelectorAll('.quietnote-modal:not(.quietnote-pin-modal)');
+  editors.forEach((modal) => {
+    modal.querySelectorAll('textarea, input').forEach((field) => {
+      field.value = '';
+    });
+    modal.remove();
+  });
+  return editors.length;
+}
+
+/**
+ * Handle keyboard shortcuts and lock events
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Only the extension itself may drive the UI
+  if (sender.id !== chrome.runtime.id) {
+    return;
+  }
+
+  if (request.type === 'LOCK_UPDATED') {
+    if (request.locked && closeNoteEditors() > 0) {
+      showNotification('Notes locked', 'info');
+    }
+    return;
+  }
+
+  if (request.type === 'NOTES_CHANGED') {
+    document.querySelectorAll('.quietnote-modal').forEach((modal) => {
+      modal.handleNotesChanged?.(request.notes).catch(() => {});
+    });
+    return;
+  }
+
   if (request.type === 'KEYBOARD_SHORTCUT') {
     switch (request.command) {
       case 'new-page-note':
@@ -1,9 +1,11 @@
 /**
  * QuietNote Cryptography Module
- * Implements AES-GCM encryption with PBKDF2 key derivation
+ * Implements AES-GCM encryption with scrypt / PBKDF2 key derivation
  * Uses only WebCrypto API (no external dependencies)
  */
 
+import { deriveKeyBits, DEFAULT_KDF, KDF_PRESETS, LEGACY_KDF_PARAMS } from './kdf.js';
+
 export interface EncryptionResult {
   ciphertext: string; // base64
   iv: string; // base64
@@ -11,10 +13,60 @@ export interface EncryptionResult {
   tag: string; // base64 (part of ciphertext in GCM)
 }
 
+/**
+ * Version 2 note field envelope
+ * The note id, field name and note schema version are authenticated as
+ * AES-GCM additional data, so the ciphertext only decrypts in its own slot.
+ * Version 1 is a plain EncryptionResult.
+ */
+export interface NoteEnvelope {
+  v: 2;
+  schema: number;
+  ciphertext: string; // base64, tag included
+  iv: string; // base64
+}
+
+export interface EnvelopeContext {
+  noteId: string;
+  field: 'title' | 'content' | 'metadata';
+}
+
+export const ENVELOPE_VERSION = 2;
+// 3: fields other than title and content moved into the metadata envelope
+export const NOTE_SCHEMA_VERSION = 3;
+
 export interface DecryptionResult {
   plaintext: string;
   success: boolean;
   error?: string;
+  legacy?: boolean; // read from a version 1 envelope; rewrite it
+}
+
+/**
+ * Key derivation parameters, stored with every wrapped key
+ */
+export type KdfParams =
+  | { algorithm: 'scrypt'; N: number; r: number; p: number }
+  | { algorithm: 'pbkdf2-sha256'; iterations: number };
+
+/**
+ * A data key wrapped by a secret-derived key
+ */
+export interface WrappedKey extends EncryptionResult {
+  kdf?: KdfParams; // absent on vaults created before parameters were stored
+}
+
+/**
+ * Kind of secret that unlocks the vault
+ */
+export type SecretKind = 'pin' | 'passphrase';
+
+/**
+ * Data encryption key: encrypts notes, stored only wrapped by secret-derived keys
+ */
+export interface DataKey {
+  key: CryptoKey;
+  rawKey: Uint8Array;
 }
 
 /**
@@ -23,45 +75,38 @@ export interface DecryptionResult {
 const CRYPTO_CONFIG = {
   algorithm: 'AES-GCM',
   keyLength: 256,
-  iterations: 310000, // OWASP recommended for PBKDF2
   saltLength: 32,
   ivLength: 12,
   tagLength: 128,
-  hash: 'SHA-256',
 } as const;
 
+/**
+ * Known plaintext encrypted with the PIN-derived key to verify a PIN
+ */
+const KEY_CHECK_PLAINTEXT = 'quietnote:key-check:v1';
+
 /**
  * CryptoManager - Handles all encryption/decryption operations
  */
 export class CryptoManager {
   /**
-   * Derives a cryptographic key from a PIN using PBKDF2
+   * Derives a cryptographic key from a PIN with the given KDF parameters
    */
-  static async derivePINKey(pin: string, salt?: Uint8Array): Promise<{
+  static async derivePINKey(
+    pin: string,
+    salt?: Uint8Array,
+    kdf: KdfParams = LEGACY_KDF_PARAMS as KdfParams
+  ): Promise<{
     key: CryptoKey;
     salt: Uint8Array;
   }> {
     // Generate salt if not provided
     const finalSalt = salt || crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.saltLength));
 
-    // Create base key from PIN
-    const baseKey = await crypto.subtle.importKey(
+    const bits = await deriveKeyBits(pin, finalSalt, kdf, CRYPTO_CONFIG.keyLength / 8);
+    const key = await crypto.subtle.importKey(
       'raw',
-      new TextEncoder().encode(pin),
-      'PBKDF2',
-      false,
-      ['deriveKey']
-    );
-
-    // Derive actual encryption key
-    const key = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: finalSalt,
-        iterations: CRYPTO_CONFIG.iterations,
-        hash: CRYPTO_CONFIG.hash,
-      },
-      baseKey,
+      bits,
       { name: 'AES-GCM', length: CRYPTO_CONFIG.keyLength },
       false, // not extractable
       ['encrypt', 'decrypt']
@@ -98,21 +143,65 @@ export class CryptoManager {
     };
   }
 
+  /**
+   * Encrypts a note field into a version 2 envelope
+   */
+  static async encryptField(
+    plaintext: string,
+    key: CryptoKey,
+    context: EnvelopeContext
+  ): Promise<NoteEnvelope> {
+    const iv = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.ivLength));
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: iv,
+        additionalData: this.envelopeAAD(ENVELOPE_VERSION, NOTE_SCHEMA_VERSION, context),
+      },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+
+    return {
+      v: ENVELOPE_VERSION,
+      schema: NOTE_SCHEMA_VERSION,
+      ciphertext: this.arrayBufferToBase64(ciphertext),
+      iv: this.arrayBufferToBase64(iv),
+    };
+  }
+
   /**
    * Decrypts AES-GCM ciphertext
+   * Reads version 1 results and version 2 envelopes; the latter need the
+   * context they were encrypted for.
    */
   static async decrypt(
-    encrypted: EncryptionResult,
-    key: CryptoKey
+    encrypted: EncryptionResult | NoteEnvelope,
+    key: CryptoKey,
+    context?: EnvelopeContext
   ): Promise<DecryptionResult> {
     try {
       const ciphertext = this.base64ToArrayBuffer(encrypted.ciphertext);
       const iv = this.base64ToArrayBuffer(encrypted.iv);
+      const legacy = this.isLegacyEnvelope(encrypted);
+
+      let additionalData: Uint8Array | undefined;
+      if (!legacy) {
+        const { v, schema } = encrypted as NoteEnvelope;
+        if (v !== ENVELOPE_VERSION) {
+          throw new Error(`Unsupported envelope version: ${v}`);
+        }
+        if (!context) {
+          throw new Error('Envelope context required');
+        }
+        additionalData = this.envelopeAAD(v, schema, context);
+      }
 
       const plaintext = await crypto.subtle.decrypt(
         {
           name: 'AES-GCM',
           iv: iv,
+          ...(additionalData && { additionalData }),
         },
         key,
         ciphertext
@@ -121,6 +210,7 @@ export class CryptoManager {
       return {
         plaintext: new TextDecoder().decode(plaintext),
         success: true,
+        legacy,
       };
     } catch (error) {
       return {
@@ -131,21 +221,72 @@ export class CryptoManager {
     }
   }
 
+  /**
+   * Derive the HMAC key for page identifiers from the data key (HKDF)
+   */
+  static async derivePageIdKey(rawKey: Uint8Array): Promise<CryptoKey> {
+    const baseKey = await crypto.subtle.importKey('raw', rawKey, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(32),
+        info: new TextEncoder().encode('quietnote:page-id:v1'),
+      },
+      baseKey,
+      { name: 'HMAC', hash: 'SHA-256', length: 256 },
+      false,
+      ['sign']
+    );
+  }
+
+  /**
+   * Page identifier: first 128 bits of HMAC-SHA256(normalized URL), base64url
+   */
+  static async pageId(pageIdKey: CryptoKey, pageURL: string): Promise<string> {
+    const mac = await crypto.subtle.sign('HMAC', pageIdKey, new TextEncoder().encode(pageURL));
+    return this.arrayBufferToBase64(mac.slice(0, 16))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * Whether an envelope predates versioning (no associated data)
+   */
+  static isLegacyEnvelope(encrypted: EncryptionResult | NoteEnvelope): encrypted is EncryptionResult {
+    return (encrypted as NoteEnvelope).v === undefined;
+  }
+
+  private static envelopeAAD(version: number, schema: number, context: EnvelopeContext): Uint8Array {
+    return new TextEncoder().encode(
+      JSON.stringify(['quietnote', version, schema, context.noteId, context.field])
+    );
+  }
+
   /**
    * Complete encrypt workflow: derive key from PIN and encrypt data
    */
-  static async encryptWithPIN(plaintext: string, pin: string): Promise<EncryptionResult> {
-    const { key, salt } = await this.derivePINKey(pin);
+  static async encryptWithPIN(
+    plaintext: string,
+    pin: string,
+    kdf?: KdfParams
+  ): Promise<EncryptionResult> {
+    const { key, salt } = await this.derivePINKey(pin, undefined, kdf);
     return this.encrypt(plaintext, key, salt);
   }
 
   /**
    * Complete decrypt workflow: derive key from PIN and decrypt data
    */
-  static async decryptWithPIN(encrypted: EncryptionResult, pin: string): Promise<DecryptionResult> {
+  static async decryptWithPIN(
+    encrypted: EncryptionResult,
+    pin: string,
+    kdf?: KdfParams
+  ): Promise<DecryptionResult> {
     try {
       const salt = this.base64ToArrayBuffer(encrypted.salt) as Uint8Array;
-      const { key } = await this.derivePINKey(pin, salt);
+      const { key } = await this.derivePINKey(pin, salt, kdf);
       return this.decrypt(encrypted, key);
     } catch (error) {
       return {
@@ -156,6 +297,86 @@ export class CryptoManager {
     }
   }
 
+  /**
+   * Generate a random AES-GCM data key
+   */
+  static async generateDataKey(): Promise<DataKey> {
+    const rawKey = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.keyLength / 8));
+    return { key: await this.importDataKey(rawKey), rawKey };
+  }
+
+  /**
+   * Import raw data key bytes as a non-extractable AES-GCM key
+   */
+  static async importDataKey(rawKey: Uint8Array): Promise<CryptoKey> {
+    return crypto.subtle.importKey(
+      'raw',
+      rawKey,
+      { name: 'AES-GCM', length: CRYPTO_CONFIG.keyLength },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Wrap a data key with a key derived from an unlock secret (PIN)
+   */
+  static async wrapDataKey(
+    rawKey: Uint8Array,
+    secret: string,
+    kdf: KdfParams = KDF_PRESETS[DEFAULT_KDF] as KdfParams
+  ): Promise<WrappedKey> {
+    return { ...(await this.encryptWithPIN(this.arrayBufferToBase64(rawKey), secret, kdf)), kdf };
+  }
+
+  /**
+   * Unwrap a data key; returns null when the secret is wrong
+   */
+  static async unwrapDataKey(wrapped: WrappedKey, secret: string): Promise<DataKey | null> {
+    const result = await this.decryptWithPIN(
+      wrapped,
+      secret,
+      wrapped.kdf || (LEGACY_KDF_PARAMS as KdfParams)
+    );
+    if (!result.success) {
+      return null;
+    }
+    const rawKey = this.base64ToArrayBuffer(result.plaintext) as Uint8Array;
+    return { key: await this.importDataKey(rawKey), rawKey };
+  }
+
+  /**
+   * Derive the raw key bytes a legacy vault used to encrypt notes directly
+   */
+  static async deriveLegacyDataKey(pin: string, salt: Uint8Array): Promise<DataKey> {
+    const rawKey = await deriveKeyBits(pin, salt, LEGACY_KDF_PARAMS, CRYPTO_CONFIG.keyLength / 8);
+    return { key: await this.importDataKey(rawKey), rawKey };
+  }
+
+  /**
+   * Generate an offline recovery code: 24 Crockford base32 characters
+   * (120 random bits) in groups of four
+   */
+  static generateRecoveryCode(): string {
+    const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    // 256 is a multiple of 32, so the modulo is unbiased
+    const chars = Array.from(crypto.getRandomValues(new Uint8Array(24)))
+      .map(byte => alphabet[byte % alphabet.length])
+      .join('');
+    return chars.match(/.{4}/g)!.join('-');
+  }
+
+  /**
+   * Canonical recovery code used as the wrapping secret
+   */
+  static normalizeRecoveryCode(code: string): string {
+    return code
+      .toUpperCase()
+      .replace(/[\s-]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+  }
+
   /**
    * Generate a random secure password for master key
    */
@@ -167,6 +388,23 @@ export class CryptoManager {
       .join('');
   }
 
+  /**
+   * Create a key check block: a known plaintext encrypted with the
+   * PIN-derived key.
+   * @deprecated Legacy vaults only; the wrapped data key now verifies the PIN
+   */
+  static async createKeyCheck(key: CryptoKey, salt: Uint8Array): Promise<EncryptionResult> {
+    return this.encrypt(KEY_CHECK_PLAINTEXT, key, salt);
+  }
+
+  /**
+   * Verify a PIN-derived key against a stored key check block
+   */
+  static async verifyKeyCheck(keyCheck: EncryptionResult, key: CryptoKey): Promise<boolean> {
+    const result = await this.decrypt(keyCheck, key);
+    return result.success && result.plaintext === KEY_CHECK_PLAINTEXT;
+  }
+
   /**
    * Hash data with SHA-256 (for PIN attempts tracking, not encryption)
    */
@@ -177,6 +415,7 @@ export class CryptoManager {
 
   /**
    * Verify a PIN against a stored hash
+   * @deprecated Legacy settings.pinHash only; use verifyKeyCheck
    */
   static async verifyPIN(pin: string, storedHash: string): Promise<boolean> {
     const hash = await this.hashData(pin);
@@ -216,6 +455,8 @@ export class PINValidator {
   static readonly MAX_LENGTH = 8;
   static readonly MAX_ATTEMPTS = 5;
   static readonly LOCKOUT_DURATION = 900000; // 15 minutes
+  static readonly MAX_LOCKOUT_DURATION = 86400000; // 24 hours
+  static readonly BACKOFF_BASE_DELAY = 1000; // 1 second
 
   /**
    * Validate PIN format
@@ -242,6 +483,54 @@ export class PINValidator {
     };
   }
 
+  /**
+   * Validate a new PIN or passphrase; passphrases follow the policy from
+   * settings (same rules as crypto/secret-policy.js)
+   */
+  static isValidSecret(
+    secret: string,
+    kind: SecretKind,
+    policy: {
+      minLength: number;
+      requireLowercase: boolean;
+      requireUppercase: boolean;
+      requireDigit: boolean;
+      requireSymbol: boolean;
+    } = {
+      minLength: 12,
+      requireLowercase: true,
+      requireUppercase: false,
+      requireDigit: false,
+      requireSymbol: false,
+    }
+  ): { valid: boolean; errors: string[] } {
+    if (kind === 'pin') {
+      return this.isValidPIN(secret);
+    }
+
+    const errors: string[] = [];
+    if (secret.length < policy.minLength) {
+      errors.push(`Passphrase must be at least ${policy.minLength} characters`);
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(secret)) {
+      errors.push('Passphrase must contain a lowercase letter');
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(secret)) {
+      errors.push('Passphrase must contain an uppercase letter');
+    }
+    if (policy.requireDigit && !/\d/.test(secret)) {
+      errors.push('Passphrase must contain a digit');
+    }
+    if (policy.requireSymbol && !/[^a-zA-Z\d\s]/.test(secret)) {
+      errors.push('Passphrase must contain a symbol');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
   /**
    * Check if account is locked due to too many failed attempts
    */
@@ -254,6 +543,27 @@ export class PINValidator {
     return timeSinceLastAttempt < this.LOCKOUT_DURATION;
   }
 
+  /**
+   * Delay before the next attempt after `failedAttempts` consecutive failures
+   * (1s, 2s, 4s, ...)
+   */
+  static getBackoffDelay(failedAttempts: number): number {
+    if (failedAttempts <= 0) {
+      return 0;
+    }
+    return this.BACKOFF_BASE_DELAY * 2 ** (failedAttempts - 1);
+  }
+
+  /**
+   * Lockout duration for the nth lockout; doubles each time, capped at 24h
+   */
+  static getLockoutDuration(lockoutCount: number): number {
+    return Math.min(
+      this.LOCKOUT_DURATION * 2 ** Math.max(lockoutCount - 1, 0),
+      this.MAX_LOCKOUT_DURATION
+    );
+  }
+
   /**
    * Get lockout remaining time in seconds
    */
@@ -0,0 +1,116 @@
+/**
+ * QuietNote Key Derivation
+ * Turns an unlock secret into key bytes using versioned, self-describing
+ * parameters. The parameters are stored next to every wrapped key, so each
+ * vault can be unlocked with what it was created with and moved to the
+ * current preset on the next successful unlock.
+ */
+
+import { scrypt } from './scrypt.js';
+
+/**
+ * Current parameters for each selectable KDF (settings.keyDerivation)
+ */
+export const KDF_PRESETS = {
+  // Memory-hard: 128 * r * N = 32 MiB per derivation
+  scrypt: { algorithm: 'scrypt', N: 32768, r: 8, p: 1 },
+  // OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+  pbkdf2: { algorithm: 'pbkdf2-sha256', iterations: 600000 },
+};
+
+export const DEFAULT_KDF = 'scrypt';
+
+/**
+ * Parameters used before they were stored with the vault
+ */
+export const LEGACY_KDF_PARAMS = { algorithm: 'pbkdf2-sha256', iterations: 310000 };
+
+// Bounds for parameters read from storage, so a tampered or imported vault
+// can neither make unlock hang or exhaust memory nor weaken its own wrap
+// (minimums: the interactive-login scrypt parameters N = 2^14, r = 8).
+// scrypt allocates 128·N·r bytes at once and does N·r·p block mixes, so
+// those products are capped as well as each parameter.
+const LIMITS = {
+  minIterations: 100000,
+  maxIterations: 10000000,
+  minN: 2 ** 14,
+  maxN: 2 ** 20,
+  minR: 8,
+  maxR: 32,
+  minP: 1,
+  maxP: 16,
+  maxScryptMemory: 256 * 1024 * 1024,
+  maxScryptWork: 2 ** 22,
+};
+
+/**
+ * Derive `length` bytes from a secret
+ * @param {string} secret
+ * @param {Uint8Array} salt
+ * @param {object} params - one of KDF_PRESETS (or older stored parameters)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function deriveKeyBits(secret, salt, params, length = 32) {
+  assertKdfParams(params);
+  const password = new TextEncoder().encode(secret);
+
+  if (params.algorithm === 'scrypt') {
+    return scrypt(password, salt, params, length);
+  }
+
+  const baseKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations: params.iterations, hash: 'SHA-256' },
+    baseKey,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Throw unless params name a supported algorithm with sane values
+ */
+export function assertKdfParams(params) {
+  switch (params?.algorithm) {
+    case 'pbkdf2-sha256':
+      if (
+        !Number.isInteger(params.iterations) ||
+        params.iterations < LIMITS.minIterations ||
+        params.iterations > LIMITS.maxIterations
+      ) {
+        throw new Error('Unsupported PBKDF2 iteration count');
+      }
+      return;
+
+    case 'scrypt':
+      if (
+        !Number.isInteger(params.N) || params.N < LIMITS.minN || params.N > LIMITS.maxN ||
+        !Number.isInteger(params.r) || params.r < LIMITS.minR || params.r > LIMITS.maxR ||
+        !Number.isInteger(params.p) || params.p < LIMITS.minP || params.p > LIMITS.maxP ||
+        128 * params.N * params.r > LIMITS.maxScryptMemory ||
+        params.N * params.r * params.p > LIMITS.maxScryptWork
+      ) {
+        throw new Error('Unsupported scrypt parameters');
+      }
+      return;
+
+    default:
+      throw new Error(`Unsupported key derivation: ${params?.algorithm}`);
+  }
+}
+
+/**
+ * Preset for a settings.keyDerivation value (falls back to the default)
+ */
+export function getKdfPreset(name) {
+  return KDF_PRESETS[name] || KDF_PRESETS[DEFAULT_KDF];
+}
+
+/**
+ * Whether stored parameters already match a preset
+ */
+export function isSameKdf(params, preset) {
+  const stored = params || LEGACY_KDF_PARAMS;
+  return Object.keys(preset).every(key => stored[key] === preset[key]) &&
+    Object.keys(stored).length === Object.keys(preset).length;
+}
@@ -0,0 +1,159 @@
+/**
+ * QuietNote scrypt (RFC 7914)
+ * Memory-hard key derivation in plain JS so it ships with the extension and
+ * never touches the network. PBKDF2-HMAC-SHA256 comes from WebCrypto; the
+ * memory-hard ROMix step is implemented here on 32-bit little-endian words.
+ */
+
+/**
+ * Derive dkLen bytes from password and salt
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {{ N: number, r: number, p: number }} params - N must be a power of two
+ * @param {number} dkLen
+ * @returns {Promise<Uint8Array>}
+ */
+export async function scrypt(password, salt, { N, r, p }, dkLen) {
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+    throw new Error('scrypt: N must be a power of two greater than 1');
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+    throw new Error('scrypt: r and p must be positive integers');
+  }
+
+  const blockBytes = 128 * r;
+  const B = await pbkdf2SHA256(password, salt, p * blockBytes);
+
+  const words = bytesToWords(B);
+  const blockWords = 32 * r;
+  for (let i = 0; i < p; i++) {
+    roMix(words.subarray(i * blockWords, (i + 1) * blockWords), N, r);
+  }
+
+  return pbkdf2SHA256(password, wordsToBytes(words), dkLen);
+}
+
+async function pbkdf2SHA256(password, salt, length) {
+  const baseKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations: 1, hash: 'SHA-256' },
+    baseKey,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * ROMix: fill N blocks, then read them back in a data-dependent order
+ */
+function roMix(B, N, r) {
+  const blockWords = 32 * r;
+  const V = new Uint32Array(blockWords * N);
+  let X = Uint32Array.from(B);
+  let Y = new Uint32Array(blockWords);
+  const T = new Uint32Array(16);
+
+  for (let i = 0; i < N; i++) {
+    V.set(X, i * blockWords);
+    blockMix(X, Y, T, r);
+    [X, Y] = [Y, X];
+  }
+
+  for (let i = 0; i < N; i++) {
+    // Integerify: first word of the last 64-byte block
+    const j = X[(2 * r - 1) * 16] & (N - 1);
+    const offset = j * blockWords;
+    for (let k = 0; k < blockWords; k++) {
+      X[k] ^= V[offset + k];
+    }
+    blockMix(X, Y, T, r);
+    [X, Y] = [Y, X];
+  }
+
+  B.set(X);
+}
+
+/**
+ * BlockMix(B) into Y; even sub-blocks go to the first half, odd to the second
+ */
+function blockMix(B, Y, T, r) {
+  T.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) {
+      T[k] ^= B[i * 16 + k];
+    }
+    salsa20_8(T);
+    Y.set(T, ((i & 1) * r + (i >> 1)) * 16);
+  }
+}
+
+function salsa20_8(B) {
+  let x0 = B[0], x1 = B[1], x2 = B[2], x3 = B[3];
+  let x4 = B[4], x5 = B[5], x6 = B[6], x7 = B[7];
+  let x8 = B[8], x9 = B[9], x10 = B[10], x11 = B[11];
+  let x12 = B[12], x13 = B[13], x14 = B[14], x15 = B[15];
+  let u;
+
+  for (let i = 0; i < 8; i += 2) {
+    // Columns
+    u = x0 + x12; x4 ^= (u << 7) | (u >>> 25);
+    u = x4 + x0; x8 ^= (u << 9) | (u >>> 23);
+    u = x8 + x4; x12 ^= (u << 13) | (u >>> 19);
+    u = x12 + x8; x0 ^= (u << 18) | (u >>> 14);
+    u = x5 + x1; x9 ^= (u << 7) | (u >>> 25);
+    u = x9 + x5; x13 ^= (u << 9) | (u >>> 23);
+    u = x13 + x9; x1 ^= (u << 13) | (u >>> 19);
+    u = x1 + x13; x5 ^= (u << 18) | (u >>> 14);
+    u = x10 + x6; x14 ^= (u << 7) | (u >>> 25);
+    u = x14 + x10; x2 ^= (u << 9) | (u >>> 23);
+    u = x2 + x14; x6 ^= (u << 13) | (u >>> 19);
+    u = x6 + x2; x10 ^= (u << 18) | (u >>> 14);
+    u = x15 + x11; x3 ^= (u << 7) | (u >>> 25);
+    u = x3 + x15; x7 ^= (u << 9) | (u >>> 23);
+    u = x7 + x3; x11 ^= (u << 13) | (u >>> 19);
+    u = x11 + x7; x15 ^= (u << 18) | (u >>> 14);
+
+    // Rows
+    u = x0 + x3; x1 ^= (u << 7) | (u >>> 25);
+    u = x1 + x0; x2 ^= (u << 9) | (u >>> 23);
+    u = x2 + x1; x3 ^= (u << 13) | (u >>> 19);
+    u = x3 + x2; x0 ^= (u << 18) | (u >>> 14);
+    u = x5 + x4; x6 ^= (u << 7) | (u >>> 25);
+    u = x6 + x5; x7 ^= (u << 9) | (u >>> 23);
+    u = x7 + x6; x4 ^= (u << 13) | (u >>> 19);
+    u = x4 + x7; x5 ^= (u << 18) | (u >>> 14);
+    u = x10 + x9; x11 ^= (u << 7) | (u >>> 25);
+    u = x11 + x10; x8 ^= (u << 9) | (u >>> 23);
+    u = x8 + x11; x9 ^= (u << 13) | (u >>> 19);
+    u = x9 + x8; x10 ^= (u << 18) | (u >>> 14);
+    u = x15 + x14; x12 ^= (u << 7) | (u >>> 25);
+    u = x12 + x15; x13 ^= (u << 9) | (u >>> 23);
+    u = x13 + x12; x14 ^= (u << 13) | (u >>> 19);
+    u = x14 + x13; x15 ^= (u << 18) | (u >>> 14);
+  }
+
+  B[0] += x0; B[1] += x1; B[2] += x2; B[3] += x3;
+  B[4] += x4; B[5] += x5; B[6] += x6; B[7] += x7;
+  B[8] += x8; B[9] += x9; B[10] += x10; B[11] += x11;
+  B[12] += x12; B[13] += x13; B[14] += x14; B[15] += x15;
+}
+
+function bytesToWords(bytes) {
+  const words = new Uint32Array(bytes.length / 4);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = bytes[i * 4] | (bytes[i * 4 + 1] << 8) | (bytes[i * 4 + 2] << 16) | (bytes[i * 4 + 3] << 24);
+  }
+  return words;
+}
+
+function wordsToBytes(words) {
+  const bytes = new Uint8Array(words.length * 4);
+  for (let i = 0; i < words.length; i++) {
+    bytes[i * 4] = words[i];
+    bytes[i * 4 + 1] = words[i] >>> 8;
+    bytes[i * 4 + 2] = words[i] >>> 16;
+    bytes[i * 4 + 3] = words[i] >>> 24;
+  }
+  return bytes;
+}
@@ -0,0 +1,138 @@
+/**
+ * QuietNote Unlock Secret Policy
+ * Rules and strength estimate for the secret that wraps the vault key:
+ * either a numeric PIN or an alphanumeric passphrase.
+ * Shared by the background worker (enforcement) and the settings page
+ * (live feedback), so it must stay free of extension APIs.
+ */
+
+export const SECRET_KINDS = ['pin', 'passphrase'];
+
+export const PIN_RULES = {
+  minLength: 4,
+  maxLength: 8,
+};
+
+export const PASSPHRASE_MAX_LENGTH = 256;
+
+export const DEFAULT_PASSPHRASE_POLICY = {
+  minLength: 12,
+  requireLowercase: true,
+  requireUppercase: false,
+  requireDigit: false,
+  requireSymbol: false,
+};
+
+const CHARACTER_CLASSES = [
+  { name: 'lowercase', policy: 'requireLowercase', pattern: /[a-z]/, pool: 26, label: 'a lowercase letter' },
+  { name: 'uppercase', policy: 'requireUppercase', pattern: /[A-Z]/, pool: 26, label: 'an uppercase letter' },
+  { name: 'digit', policy: 'requireDigit', pattern: /\d/, pool: 10, label: 'a digit' },
+  { name: 'symbol', policy: 'requireSymbol', pattern: /[^a-zA-Z\d\s]/, pool: 33, label: 'a symbol' },
+];
+
+// Top entries of common password lists; matching one scores zero
+const COMMON_SECRETS = new Set([
+  '1234', '0000', '1111', '1212', '12345', '123456', '1234567', '12345678',
+  '654321', '111111', '000000', '123123', 'password', 'password1', 'qwerty',
+  'qwertyuiop', 'letmein', 'iloveyou', 'admin', 'welcome', 'monkey', 'dragon',
+  'passw0rd', 'password123', 'abc123', 'trustno1', 'sunshine', 'football',
+]);
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+/**
+ * Check a new secret against the rules for its kind
+ * Returns the list of unmet requirements (empty when the secret is allowed).
+ */
+export function checkSecret(secret, kind = 'pin', policy = DEFAULT_PASSPHRASE_POLICY) {
+  if (typeof secret !== 'string') {
+    return ['Secret must be a string'];
+  }
+
+  if (kind === 'pin') {
+    const errors = [];
+    if (secret.length < PIN_RULES.minLength || secret.length > PIN_RULES.maxLength) {
+      errors.push(`PIN must be ${PIN_RULES.minLength}-${PIN_RULES.maxLength} digits`);
+    }
+    if (!/^\d*$/.test(secret)) {
+      errors.push('PIN must contain only digits');
+    }
+    return errors;
+  }
+
+  if (kind !== 'passphrase') {
+    return [`Unknown secret kind: ${kind}`];
+  }
+
+  const rules = { ...DEFAULT_PASSPHRASE_POLICY, ...policy };
+  const errors = [];
+
+  if (secret.length < rules.minLength) {
+    errors.push(`Passphrase must be at least ${rules.minLength} characters`);
+  }
+  if (secret.length > PASSPHRASE_MAX_LENGTH) {
+    errors.push(`Passphrase must be at most ${PASSPHRASE_MAX_LENGTH} characters`);
+  }
+  for (const charClass of CHARACTER_CLASSES) {
+    if (rules[charClass.policy] && !charClass.pattern.test(secret)) {
+      errors.push(`Passphrase must contain ${charClass.label}`);
+    }
+  }
+  if (COMMON_SECRETS.has(secret.toLowerCase())) {
+    errors.push('Passphrase is too common');
+  }
+
+  return errors;
+}
+
+/**
+ * Kind of a secret entered without saying which it is (legacy vaults and
+ * the first unlock of a new vault)
+ */
+export function inferSecretKind(secret) {
+  return /^\d+$/.test(secret) ? 'pin' : 'passphrase';
+}
+
+/**
+ * Rough strength estimate
+ * Entropy is length x log2(character pool), minus penalties for repeats and
+ * runs such as "aaa" or "1234". This is a guide for the user, not a guarantee.
+ * Returns { score: 0-4, label, bits }.
+ */
+export function estimateStrength(secret) {
+  if (!secret) {
+    return { score: 0, label: STRENGTH_LABELS[0], bits: 0 };
+  }
+  if (COMMON_SECRETS.has(secret.toLowerCase())) {
+    return { score: 0, label: STRENGTH_LABELS[0], bits: 0 };
+  }
+
+  let pool = 0;
+  for (const charClass of CHARACTER_CLASSES) {
+    if (charClass.pattern.test(secret)) {
+      pool += charClass.pool;
+    }
+  }
+  if (/\s/.test(secret)) pool += 1;
+  // Characters outside ASCII
+  if (/[^\x00-\x7F]/.test(secret)) pool += 100;
+
+  let effectiveLength = 0;
+  for (let i = 0; i < secret.length; i++) {
+    const prev = secret.charCodeAt(i - 1);
+    const code = secret.charCodeAt(i);
+    const isRepeat = i > 0 && code === prev;
+    const isRun = i > 0 && Math.abs(code - prev) === 1;
+    effectiveLength += isRepeat || isRun ? 0.5 : 1;
+  }
+
+  const bits = Math.round(effectiveLength * Math.log2(Math.max(pool, 2)));
+  let score;
+  if (bits < 28) score = 0;
+  else if (bits < 36) score = 1;
+  else if (bits < 60) score = 2;
+  else if (bits < 80) score = 3;
+  else score = 4;
+
+  return { score, label: STRENGTH_LABELS[score], bits };
+}
@@ -0,0 +1,218 @@
+/**
+ * QuietNote Storage Backends
+ * The background worker and StorageManager read and write every persistent
+ * record through a StorageBackend, so the same code runs in the extension
+ * and in Node tests.
+ *
+ * StorageBackend (shaped like chrome.storage.local):
+ *   get(keys)            keys: string | string[] | null (every record)
+ *                        -> Promise<Record<string, unknown>>
+ *   set(items)           -> Promise<void>
+ *   remove(keys)         -> Promise<void>
+ *   clear()              -> Promise<void>
+ *   getByPrefix(prefix)  records whose key starts with prefix (note:,
+ *                        trash:, revisions:, ...)
+ *   query(index, value)  note records whose id, pageURL or updatedAt index
+ *                        field (see recordIndexFields) equals value
+ *   getUsage()           -> Promise<{ bytesInUse, quotaBytes }>, quotaBytes
+ *                        null when there is no fixed quota
+ *   onChanged(listener)  listener({ [key]: { oldValue?, newValue? } }) after
+ *                        each write; newValue is missing for removed keys
+ */
+
+import { IndexedDBBackend, MIGRATION_MARKER, recordIndexFields } from './indexeddb-backend.js';
+
+export { IndexedDBBackend, MIGRATION_MARKER, recordIndexFields };
+
+let sharedBackend = null;
+
+/**
+ * The backend of this context, picked on first use and shared by the
+ * background worker and StorageManager
+ * @returns {StorageBackend}
+ */
+export function getStorageBackend() {
+  sharedBackend ??= createStorageBackend();
+  return sharedBackend;
+}
+
+/**
+ * Pick the backend for this context
+ * In the extension, IndexedDB; the records of earlier versions are moved
+ * into it from browser.storage.local (Firefox) or chrome.storage.local
+ * (Chrome) when it is first opened. The unlimitedStorage permission keeps
+ * the browser from evicting it. Without IndexedDB the storage area itself
+ * is used, and memory outside the extension.
+ * @returns {StorageBackend}
+ */
+export function createStorageBackend() {
+  let area = null;
+  if (globalThis.browser?.storage?.local) {
+    area = new BrowserStorageBackend(globalThis.browser.storage);
+  } else if (globalThis.chrome?.storage?.local) {
+    area = new ChromeStorageBackend(globalThis.chrome.storage);
+  }
+
+  if (!area) {
+    return new MemoryStorageBackend();
+  }
+  return IndexedDBBackend.isAvailable() ? new IndexedDBBackend({ migrateFrom: area }) : area;
+}
+
+/**
+ * chrome.storage.local
+ * onChanged also reports writes made from other extension contexts.
+ */
+export class ChromeStorageBackend {
+  /**
+   * @param {typeof chrome.storage} storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.area = storage.local;
+  }
+
+  get(keys) {
+    return this.area.get(keys);
+  }
+
+  set(items) {
+    return this.area.set(items);
+  }
+
+  remove(keys) {
+    return this.area.remove(keys);
+  }
+
+  clear() {
+    return this.area.clear();
+  }
+
+  getByPrefix(prefix) {
+    return getByPrefixByScan(this, prefix);
+  }
+
+  query(index, value) {
+    return queryByScan(this, index, value);
+  }
+
+  async getUsage() {
+    return {
+      bytesInUse: await this.area.getBytesInUse(null),
+      quotaBytes: this.area.QUOTA_BYTES ?? null,
+    };
+  }
+
+  onChanged(listener) {
+    this.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local') listener(changes);
+    });
+  }
+}
+
+/**
+ * browser.storage.local (Firefox), which has no getBytesInUse; the origin
+ * estimate covers it instead
+ */
+export class BrowserStorageBackend extends ChromeStorageBackend {
+  getUsage() {
+    return estimateOriginUsage();
+  }
+}
+
+/**
+ * Records in a Map, for Node tests and contexts without extension storage
+ * Values are copied in and out, like a real storage area.
+ */
+export class MemoryStorageBackend {
+  /**
+   * @param {Record<string, unknown>} [items] - initial records
+   */
+  constructor(items = {}) {
+    this.items = new Map(Object.entries(structuredClone(items)));
+    this.listeners = [];
+  }
+
+  async get(keys) {
+    const names = keys === null || keys === undefined
+      ? [...this.items.keys()]
+      : Array.isArray(keys) ? keys : [keys];
+    const result = {};
+    for (const key of names) {
+      if (this.items.has(key)) {
+        result[key] = structuredClone(this.items.get(key));
+      }
+    }
+    return result;
+  }
+
+  async set(items) {
+    const changes = {};
+    for (const [key, value] of Object.entries(structuredClone(items))) {
+      changes[key] = { oldValue: this.items.get(key), newValue: value };
+      this.items.set(key, value);
+    }
+    this.emit(changes);
+  }
+
+  async remove(keys) {
+    const changes = {};
+    for (const key of Array.isArray(keys) ? keys : [keys]) {
+      if (!this.items.has(key)) continue;
+      changes[key] = { oldValue: this.items.get(key) };
+      this.items.delete(key);
+    }
+    this.emit(changes);
+  }
+
+  async clear() {
+    await this.remove([...this.items.keys()]);
+  }
+
+  getByPrefix(prefix) {
+    return getByPrefixByScan(this, prefix);
+  }
+
+  query(index, value) {
+    return queryByScan(this, index, value);
+  }
+
+  async getUsage() {
+    const json = JSON.stringify(Object.fromEntries(this.items));
+    return { bytesInUse: new TextEncoder().encode(json).length, quotaBytes: null };
+  }
+
+  onChanged(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Delivered asynchronously, as storage.onChanged is
+  emit(changes) {
+    if (Object.keys(changes).length === 0) return;
+    queueMicrotask(() => {
+      for (const listener of this.listeners) {
+        listener(structuredClone(changes));
+      }
+    });
+  }
+}
+
+/**
+ * Space used by the extension origin
+ */
+export async function estimateOriginUsage() {
+  const { usage = 0, quota = null } = (await globalThis.navigator?.storage?.estimate?.()) || {};
+  return { bytesInUse: usage, quotaBytes: quota };
+}
+
+// Backends without indexes read every record and match the key or index fields
+async function getByPrefixByScan(backend, prefix) {
+  const items = await backend.get(null);
+  return Object.fromEntries(Object.entries(items).filter(([key]) => key.startsWith(prefix)));
+}
+
+async function queryByScan(backend, index, value) {
+  const items = await backend.get(null);
+  return Object.fromEntries(Object.entries(items)
+    .filter(([key, record]) => recordIndexFields(key, record)[index] === value));
+}
@@ -0,0 +1,238 @@
+/**
+ * QuietNote IndexedDB Storage Backend
+ * A StorageBackend (see storage/backends.js) keeping raw storage records in
+ * one IndexedDB object store instead of one chrome.storage.local key each.
+ * Records stay addressed by their storage key (note:${pageRef}:${id},
+ * settings, ...); note records are also indexed by id, page and updatedAt
+ * so lookups do not have to read the whole store.
+ *
+ * Writes are reported to onChanged listeners of every instance opened on
+ * the same database, in this or another extension context (worker, popup,
+ * settings), through a BroadcastChannel named after it.
+ */
+
+const DB_NAME = 'quietnote';
+const DB_VERSION = 1;
+const RECORDS_STORE = 'records';
+
+/**
+ * Set once the chrome.storage.local records have been copied over
+ */
+export const MIGRATION_MARKER = 'migration_indexeddb_done';
+
+/**
+ * Index fields of a raw record
+ * Only note records are indexed. A sealed note is indexed under its page id
+ * (its URL is encrypted) and has no updatedAt entry, which is encrypted too.
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {{ id?: string, pageURL?: string, updatedAt?: number }}
+ */
+export function recordIndexFields(key, value) {
+  if (!key.startsWith('note:') || !value || typeof value !== 'object') {
+    return {};
+  }
+
+  const fields = {};
+  if (typeof value.id === 'string') fields.id = value.id;
+  const pageRef = value.pageId || value.pageURL;
+  if (typeof pageRef === 'string') fields.pageURL = pageRef;
+  if (Number.isFinite(value.updatedAt)) fields.updatedAt = value.updatedAt;
+  return fields;
+}
+
+export class IndexedDBBackend {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name] - database name
+   * @param {StorageBackend} [options.migrateFrom] - backend whose records
+   *   are moved into IndexedDB when the database is first opened
+   * @param {boolean} [options.broadcast] - report writes to instances in
+   *   other contexts; off for records no other context should receive
+   */
+  constructor({ name = DB_NAME, migrateFrom = null, broadcast = true } = {}) {
+    this.name = name;
+    this.migrateFrom = migrateFrom;
+    this.db = null;
+    this.listeners = [];
+    this.channel = null;
+    if (broadcast && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(`${this.name}-changes`);
+      this.channel.onmessage = event => this.notify(event.data);
+      // Node: an open channel must not keep the process running
+      this.channel.unref?.();
+    }
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    this.db ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(RECORDS_STORE, { keyPath: 'key' });
+        store.createIndex('id', 'id');
+        store.createIndex('pageURL', 'pageURL');
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async db => {
+      if (this.migrateFrom) {
+        await migrate(db, this.migrateFrom);
+      }
+      return db;
+    });
+    return this.db;
+  }
+
+  /**
+   * Read records, like chrome.storage.local.get
+   * @param {string | string[] | null} keys - null reads every record
+   * @returns {Promise<Record<string, unknown>>}
+   */
+  async get(keys) {
+    const records = await this.transaction('readonly', store => {
+      if (keys === null || keys === undefined) {
+        return [store.getAll()];
+      }
+      return (Array.isArray(keys) ? keys : [keys]).map(key => store.get(key));
+    });
+    return Object.fromEntries(records.filter(Boolean).map(record => [record.key, record.value]));
+  }
+
+  /**
+   * Write records in one transaction
+   * @param {Record<string, unknown>} items
+   */
+  async set(items) {
+    const entries = Object.entries(items);
+    // Each record is read before it is replaced, in the same transaction
+    const previous = await this.transaction('readwrite', store => entries.map(([key, value]) => {
+      const request = store.get(key);
+      putRecords(store, { [key]: value });
+      return request;
+    }));
+    this.emit(Object.fromEntries(entries.map(([key, value], i) =>
+      [key, { oldValue: previous[i]?.value, newValue: value }])));
+  }
+
+  /**
+   * Keys without a record are skipped, and not reported as changed
+   * @param {string | string[]} keys
+   */
+  async remove(keys) {
+    const names = Array.isArray(keys) ? keys : [keys];
+    const removed = await this.transaction('readwrite', store => names.map(key => {
+      const request = store.get(key);
+      store.delete(key);
+      return request;
+    }));
+    this.emit(removedChanges(removed));
+  }
+
+  async clear() {
+    const removed = await this.transaction('readwrite', store => {
+      const request = store.getAll();
+      store.clear();
+      return [request];
+    });
+    this.emit(removedChanges(removed));
+  }
+
+  /**
+   * Records whose key starts with prefix, read as a range of the store's keys
+   * @param {string} prefix
+   * @returns {Promise<Record<string, unknown>>}
+   */
+  async getByPrefix(prefix) {
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    const records = await this.transaction('readonly', store => [store.getAll(range)]);
+    return Object.fromEntries(records.map(record => [record.key, record.value]));
+  }
+
+  /**
+   * Records whose index field equals value, or falls in an IDBKeyRange
+   * @param {'id' | 'pageURL' | 'updatedAt'} index
+   * @param {unknown} value
+   * @returns {Promise<Record<string, unknown>>}
+   */
+  async query(index, value) {
+    const records = await this.transaction('readonly', store => [store.index(index).getAll(value)]);
+    return Object.fromEntries(records.map(record => [record.key, record.value]));
+  }
+
+  /**
+   * Space used by the extension origin, which IndexedDB shares with caches
+   * @returns {Promise<{ bytesInUse: number, quotaBytes: number | null }>}
+   */
+  async getUsage() {
+    const { usage = 0, quota = null } = (await navigator.storage?.estimate?.()) || {};
+    return { bytesInUse: usage, quotaBytes: quota };
+  }
+
+  /**
+   * listener({ [key]: { oldValue?, newValue? } }) after each write, from
+   * this or any other instance on the same database
+   */
+  onChanged(listener) {
+    this.listeners.push(listener);
+  }
+
+  emit(changes) {
+    if (Object.keys(changes).length === 0) return;
+    this.notify(changes);
+    this.channel?.postMessage(changes);
+  }
+
+  notify(changes) {
+    for (const listener of this.listeners) {
+      listener(structuredClone(changes));
+    }
+  }
+
+  async transaction(mode, makeRequests) {
+    return runTransaction(await this.open(), mode, makeRequests);
+  }
+}
+
+/**
+ * Run requests in one transaction; resolves with their flattened results
+ * once it commits
+ */
+function runTransaction(db, mode, makeRequests) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(RECORDS_STORE, mode);
+    const requests = makeRequests(transaction.objectStore(RECORDS_STORE));
+    transaction.oncomplete = () => resolve(requests.flatMap(request => request.result));
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function removedChanges(records) {
+  return Object.fromEntries(records.filter(Boolean).map(record => [record.key, { oldValue: record.value }]));
+}
+
+function putRecords(store, items) {
+  return Object.entries(items).map(([key, value]) =>
+    store.put({ key, value, ...recordIndexFields(key, value) }));
+}
+
+/**
+ * Move every record of another backend into IndexedDB, once
+ * The copy and the marker are committed in one transaction, so an
+ * interrupted migration starts over the next time the database is opened.
+ * The copied keys are removed from the source afterwards.
+ */
+async function migrate(db, source) {
+  const [done] = await runTransaction(db, 'readonly', store => [store.get(MIGRATION_MARKER)]);
+  if (done) return;
+
+  const items = await source.get(null);
+  await runTransaction(db, 'readwrite', store =>
+    putRecords(store, { ...items, [MIGRATION_MARKER]: Date.now() }));
+  await source.remove(Object.keys(items));
+}
@@ -4,7 +4,18 @@
  * Automatically encrypts data based on security settings
  */
 
-import { CryptoManager, EncryptionResult } from '../crypto/crypto';
+import {
+  CryptoManager,
+  DataKey,
+  EncryptionResult,
+  EnvelopeContext,
+  NoteEnvelope,
+  PINValidator,
+  SecretKind,
+  WrappedKey,
+} from '../crypto/crypto';
+import { getKdfPreset, isSameKdf } from '../crypto/kdf.js';
+import { getStorageBackend } from './backends.js';
 
 /**
  * Base Note Object - exact specification compliance
@@ -21,6 +32,7 @@ export interface Note {
   size: { width: number; height: number; }; // Pixel dimensions
   pageURL: string | null;              // Null for Personal Notes, normalized URL for page notes
   masked: boolean;                     // Whether to hide content visually
+  revision?: number;                   // Incremented on every update; missing on notes never updated since
 }
 
 /**
@@ -30,18 +42,40 @@ export interface NoteMetadata {
   tags?: string[];
   pinned?: boolean;
   encrypted: boolean;  // Flag to indicate if title/content are encrypted
-  titleEncryptionMetadata?: EncryptionResult;   // Encryption data for title
-  contentEncryptionMetadata?: EncryptionResult; // Encryption data for content
+  titleEncryptionMetadata?: EncryptionResult | NoteEnvelope;   // Encryption data for title
+  contentEncryptionMetadata?: EncryptionResult | NoteEnvelope; // Encryption data for content
+  metadataEncryptionMetadata?: NoteEnvelope; // Every other note field and tags/pinned, as JSON
+}
+
+/**
+ * Note as stored. Sealed notes keep only id, pageId and ciphertext in the
+ * clear; other notes are a plain Note plus metadata.
+ */
+export type StoredNote =
+  | { id: string; pageId: string | null; title: string; content: string; _metadata: NoteMetadata }
+  | (Note & { pageId?: undefined; _metadata?: NoteMetadata });
+
+/**
+ * Rules for new passphrases (see crypto/secret-policy.js)
+ */
+export interface PassphrasePolicy {
+  minLength: number;
+  requireLowercase: boolean;
+  requireUppercase: boolean;
+  requireDigit: boolean;
+  requireSymbol: boolean;
 }
 
 export interface StorageSettings {
   securityLevel: 'full' | 'medium' | 'none'; // Full Secure, Medium, No Security
   requirePIN: boolean;
   autoLockTimer: number; // 0, 30000, 60000, 120000, 300000, 600000 (ms)
-  pinHash?: string; // SHA-256 hash of PIN
+  pinHash?: string; // Legacy unsalted SHA-256 of PIN; removed once the data key is wrapped
   encryptionEnabled: boolean;
   maskNoteText: boolean;
   rateLimitPINAttempts: boolean;
+  passphrasePolicy?: PassphrasePolicy;
+  keyDerivation?: 'scrypt' | 'pbkdf2'; // applied to the wrapped key on the next unlock
   theme: 'light' | 'dark' | 'solarized';
   defaultNoteColor: string;
   noteFontSize: 'small' | 'medium' | 'large';
@@ -54,6 +88,9 @@ export interface StorageSettings {
   enableDragSnap: boolean;
   defaultNotePosition: 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left';
   defaultNoteSize: 'small' | 'medium' | 'large';
+  revisionLimit: number; // revisions kept per note, 0 = no history
+  revisionMaxAge: number; // ms a revision is kept, 0 = no age limit
+  trashRetention: number; // ms deleted notes stay in the trash, 0 = delete right away
   shortcuts: {
     newPageNote: string;
     openVault: string;
@@ -67,8 +104,16 @@ export const DEFAULT_SETTINGS: StorageSettings = {
   requirePIN: true,
   autoLockTimer: 300000, // 5 minutes
   encryptionEnabled: true,
-  maskNoteText: false,
+  maskNoteText: true,
   rateLimitPINAttempts: true,
+  passphrasePolicy: {
+    minLength: 12,
+    requireLowercase: true,
+    requireUppercase: false,
+    requireDigit: false,
+    requireSymbol: false,
+  },
+  keyDerivation: 'scrypt',
   theme: 'light',
   defaultNoteColor: '#FFF9E6',
   noteFontSize: 'medium',
@@ -81,6 +126,9 @@ export const DEFAULT_SETTINGS: StorageSettings = {
   enableDragSnap: true,
   defaultNotePosition: 'top-right',
   defaultNoteSize: 'medium',
+  revisionLimit: 20,
+  revisionMaxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+  trashRetention: 30 * 24 * 60 * 60 * 1000, // 30 days
   shortcuts: {
     newPageNote: 'Ctrl+Shift+N',
     openVault: 'Ctrl+Shift+V',
@@ -89,13 +137,82 @@ export const DEFAULT_SETTINGS: StorageSettings = {
   },
 };
 
+interface SecurityPolicy {
+  encryptionEnabled: boolean;
+  requirePIN: boolean;
+  pageNotesWhileLocked: boolean; // page notes stay unencrypted and readable on their page
+  defaults: Pick<StorageSettings, 'autoLockTimer' | 'maskNoteText'>;
+}
+
+/**
+ * What each securityLevel means. The level owns encryptionEnabled and
+ * requirePIN; its defaults are applied when switching to it.
+ */
+export const SECURITY_LEVELS: Record<StorageSettings['securityLevel'], SecurityPolicy> = {
+  full: {
+    encryptionEnabled: true,
+    requirePIN: true,
+    pageNotesWhileLocked: false,
+    defaults: { autoLockTimer: 300000, maskNoteText: true },
+  },
+  medium: {
+    encryptionEnabled: true,
+    requirePIN: true,
+    pageNotesWhileLocked: true,
+    defaults: { autoLockTimer: 600000, maskNoteText: false },
+  },
+  none: {
+    encryptionEnabled: false,
+    requirePIN: false,
+    pageNotesWhileLocked: true,
+    defaults: { autoLockTimer: 0, maskNoteText: false },
+  },
+};
+
+/**
+ * Whether a note is stored encrypted at the given settings' level
+ */
+export function shouldEncryptNote(isPageNote: boolean, settings: StorageSettings): boolean {
+  const policy = SECURITY_LEVELS[settings.securityLevel] || SECURITY_LEVELS.full;
+  return policy.encryptionEnabled && !(isPageNote && policy.pageNotesWhileLocked);
+}
+
+/**
+ * Data key wrapped once per unlock method
+ */
+export interface VaultKeys {
+  version: number;
+  wrappedKeys: {
+    pin?: WrappedKey & { createdAt: number; kind?: SecretKind };
+    recovery?: WrappedKey & { createdAt: number };
+  };
+}
+
+/**
+ * Raw record store shared by StorageManager and the background worker
+ * (see storage/backends.js)
+ */
+export interface StorageBackend {
+  get(keys: string | string[] | null): Promise<Record<string, unknown>>;
+  set(items: Record<string, unknown>): Promise<void>;
+  remove(keys: string | string[]): Promise<void>;
+  clear(): Promise<void>;
+  getByPrefix(prefix: string): Promise<Record<string, unknown>>;
+  query(index: 'id' | 'pageURL' | 'updatedAt', value: unknown): Promise<Record<string, unknown>>;
+  getUsage(): Promise<{ bytesInUse: number; quotaBytes: number | null }>;
+  onChanged(listener: (changes: Record<string, { oldValue?: unknown; newValue?: unknown }>) => void): void;
+}
+
 /**
  * StorageManager - Handles all persistent storage with encryption
  */
 export class StorageManager {
   private static encryptionKey: CryptoKey | null = null;
   private static encryptionSalt: Uint8Array | null = null;
+  private static dataKey: Uint8Array | null = null;
+  private static pageIdKey: CryptoKey | null = null;
   private static currentPIN: string | null = null;
+  private static backend: StorageBackend | null = null;
 
   /**
    * Initialize storage and encryption
@@ -110,32 +227,42 @@ export class StorageManager {
 
   /**
    * Unlock encryption with PIN
+   * Unwraps the data key; legacy vaults (notes encrypted with the PIN-derived
+   * key) are migrated by wrapping that key instead.
    */
   static async unlockEncryption(pin: string): Promise<boolean> {
     try {
-      // Verify PIN if set
-      const settings = await this.getSettings();
-      if (settings.pinHash) {
-        const isValid = await CryptoManager.verifyPIN(pin, settings.pinHash);
-        if (!isValid) {
-          throw new Error('Invalid PIN');
+      const vaultKeys = (await this.getRawStorage('vaultKeys')) as VaultKeys | undefined;
+      let wrapped: WrappedKey | undefined = vaultKeys?.wrappedKeys.pin;
+      const kdf = getKdfPreset((await this.getSettings()).keyDerivation);
+
+      let dataKey: DataKey | null;
+      if (wrapped) {
+        dataKey = await CryptoManager.unwrapDataKey(wrapped, pin);
+        // Move the wrap to the current KDF preset while the secret is at hand
+        if (dataKey && !isSameKdf(wrapped.kdf, kdf)) {
+          const kind = vaultKeys!.wrappedKeys.pin!.kind;
+          wrapped = await CryptoManager.wrapDataKey(dataKey.rawKey, pin, kdf);
+          await this.storeWrappedKey({ ...wrapped, kind });
+        }
+      } else {
+        dataKey = await this.unlockLegacyVault(pin);
+        if (dataKey) {
+          wrapped = await CryptoManager.wrapDataKey(dataKey.rawKey, pin, kdf);
+          await this.storeWrappedKey(wrapped);
         }
       }
 
-      // Derive encryption key
-      const stored = await this.getRawStorage('encryptionSalt');
-      let salt = stored ? this.base64ToArrayBuffer(stored as string) : undefined;
+      if (!dataKey) {
+        throw new Error('Invalid PIN');
+      }
 
-      const { key, salt: newSalt } = await CryptoManager.derivePINKey(pin, salt);
-      this.encryptionKey = key;
-      this.encryptionSalt = newSalt;
+      this.encryptionKey = dataKey.key;
+      this.encryptionSalt = this.base64ToArrayBuffer(wrapped!.salt) as Uint8Array;
+      this.dataKey = dataKey.rawKey;
+      this.pageIdKey = await CryptoManager.derivePageIdKey(dataKey.rawKey);
       this.currentPIN = pin;
 
-      // Store salt if new
-      if (!stored) {
-        await this.setRawStorage('encryptionSalt', this.arrayBufferToBase64(newSalt));
-      }
-
       return true;
     } catch (error) {
       console.error('Encryption unlock failed:', error);
@@ -143,11 +270,41 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Data key of a vault without wrapped keys (null for a wrong PIN)
+   */
+  private static async unlockLegacyVault(pin: string): Promise<DataKey | null> {
+    const settings = await this.getSettings();
+    const keyCheck = (await this.getRawStorage('keyCheck')) as EncryptionResult | undefined;
+    const stored = await this.getRawStorage('encryptionSalt');
+
+    if (!stored && !keyCheck && !settings.pinHash) {
+      return CryptoManager.generateDataKey();
+    }
+
+    // Legacy hash is cheap to check, so reject before running the KDF
+    if (!keyCheck && settings.pinHash && !(await CryptoManager.verifyPIN(pin, settings.pinHash))) {
+      return null;
+    }
+
+    const salt = stored
+      ? (this.base64ToArrayBuffer(stored as string) as Uint8Array)
+      : crypto.getRandomValues(new Uint8Array(32));
+    const dataKey = await CryptoManager.deriveLegacyDataKey(pin, salt);
+
+    if (keyCheck && !(await CryptoManager.verifyKeyCheck(keyCheck, dataKey.key))) {
+      return null;
+    }
+    return dataKey;
+  }
+
   /**
    * Lock encryption (clear key from memory)
    */
   static lockEncryption(): void {
     this.encryptionKey = null;
+    this.dataKey = null;
+    this.pageIdKey = null;
     this.currentPIN = null;
   }
 
@@ -159,55 +316,58 @@ export class StorageManager {
   }
 
   /**
-   * Save a note (encrypted if enabled)
-   * Per spec: if encryption enabled, encrypt both title AND content
+   * Save a note (encrypted if the security level calls for it)
+   * Per spec: if encryption enabled, encrypt both title AND content. All
+   * other fields go into the metadata envelope, and page notes are filed
+   * under the page id instead of their URL.
    */
   static async saveNote(note: Note, metadata?: NoteMetadata): Promise<void> {
     const settings = await this.getSettings();
-    let titleToStore = note.title;
-    let contentToStore = note.content;
-    let titleEncryptionMetadata: EncryptionResult | undefined;
-    let contentEncryptionMetadata: EncryptionResult | undefined;
-
-    // Encrypt BOTH title and content if enabled (per spec)
-    if (settings.encryptionEnabled && this.encryptionKey && this.encryptionSalt) {
-      // Encrypt title
-      const encryptedTitle = await CryptoManager.encrypt(
-        note.title,
-        this.encryptionKey,
-        this.encryptionSalt
-      );
-      titleToStore = encryptedTitle.ciphertext;
-      titleEncryptionMetadata = encryptedTitle;
+    const previous = await this.findStoredNote(note.id, note.pageURL);
 
-      // Encrypt content
-      const encryptedContent = await CryptoManager.encrypt(
-        note.content,
+    const encrypt = shouldEncryptNote(!!note.pageURL, settings);
+    // Never fall back to plaintext while locked
+    if (encrypt && !this.encryptionKey) {
+      throw new Error('Notes are locked');
+    }
+
+    let storageNote: StoredNote;
+    if (encrypt && this.encryptionKey) {
+      const { id, title, content, ...fields } = note;
+      const context = (field: EnvelopeContext['field']) => ({ noteId: id, field });
+
+      const titleEncryptionMetadata = await CryptoManager.encryptField(title, this.encryptionKey, context('title'));
+      const contentEncryptionMetadata = await CryptoManager.encryptField(content, this.encryptionKey, context('content'));
+      const metadataEncryptionMetadata = await CryptoManager.encryptField(
+        JSON.stringify({ ...fields, tags: metadata?.tags, pinned: metadata?.pinned }),
         this.encryptionKey,
-        this.encryptionSalt
+        context('metadata')
       );
-      contentToStore = encryptedContent.ciphertext;
-      contentEncryptionMetadata = encryptedContent;
-    }
 
-    // Build storage object with metadata
-    const storageNote = {
-      ...note,
-      title: titleToStore,
-      content: contentToStore,
-      _metadata: {
-        ...metadata,
-        encrypted: settings.encryptionEnabled,
-        titleEncryptionMetadata,
-        contentEncryptionMetadata,
-      },
-    };
+      storageNote = {
+        id,
+        pageId: note.pageURL ? await this.getPageId(note.pageURL) : null,
+        title: titleEncryptionMetadata.ciphertext,
+        content: contentEncryptionMetadata.ciphertext,
+        _metadata: {
+          encrypted: true,
+          titleEncryptionMetadata,
+          contentEncryptionMetadata,
+          metadataEncryptionMetadata,
+        },
+      };
+    } else {
+      storageNote = {
+        ...note,
+        _metadata: { tags: metadata?.tags, pinned: metadata?.pinned, encrypted: false },
+      };
+    }
 
-    // Determine storage key (use pageURL instead of url)
-    const key = note.pageURL
-      ? `note:${this.normalizeUrl(note.pageURL)}:${note.id}`
-      : `note:${note.id}`;
+    const key = this.storedNoteKey(storageNote);
     await this.setRawStorage(key, storageNote);
+    if (previous && previous.key !== key) {
+      await this.removeRawStorage(previous.key);
+    }
   }
 
   /**
@@ -215,50 +375,14 @@ export class StorageManager {
    * Per spec: decrypt BOTH title and content if encryption enabled
    */
   static async getNote(id: string, pageURL?: string | null): Promise<Note | null> {
-    const key = pageURL
-      ? `note:${this.normalizeUrl(pageURL)}:${id}`
-      : `note:${id}`;
-    const stored: any = await this.getRawStorage(key);
+    const found = await this.findStoredNote(id, pageURL);
 
-    if (!stored) return null;
+    if (!found) return null;
 
-    const note = { ...stored } as Note;
-    const metadata = stored._metadata as NoteMetadata | undefined;
-
-    // Decrypt BOTH title and content if needed
-    if (metadata?.encrypted && this.encryptionKey) {
-      // Decrypt title
-      if (metadata.titleEncryptionMetadata) {
-        const decryptedTitle = await CryptoManager.decrypt(
-          metadata.titleEncryptionMetadata,
-          this.encryptionKey
-        );
-        if (decryptedTitle.success) {
-          note.title = decryptedTitle.plaintext;
-        } else {
-          console.error('Failed to decrypt note title:', decryptedTitle.error);
-          return null;
-        }
-      }
-
-      // Decrypt content
-      if (metadata.contentEncryptionMetadata) {
-        const decryptedContent = await CryptoManager.decrypt(
-          metadata.contentEncryptionMetadata,
-          this.encryptionKey
-        );
-        if (decryptedContent.success) {
-          note.content = decryptedContent.plaintext;
-        } else {
-          console.error('Failed to decrypt note content:', decryptedContent.error);
-          return null;
-        }
-      }
+    const note = await this.decryptStoredNote(found.key, found.stored);
+    if (!note) {
+      console.error('Failed to decrypt note:', id);
     }
-
-    // Remove metadata from returned note
-    delete (note as any)._metadata;
-
     return note;
   }
 
@@ -267,55 +391,67 @@ export class StorageManager {
    * Per spec: decrypt BOTH title and content for all notes
    */
   static async getAllNotes(pageURL?: string | null): Promise<Note[]> {
-    const storage = await this.getAllRawStorage();
+    const storage = pageURL ? await this.getStoredPageNotes(pageURL) : await this.getBackend().getByPrefix('note:');
     const notes: Note[] = [];
 
     for (const [key, value] of Object.entries(storage)) {
       if (!key.startsWith('note:')) continue;
 
-      const stored: any = value;
-      const note = { ...stored } as Note;
-      const metadata = stored._metadata as NoteMetadata | undefined;
+      const note = await this.decryptStoredNote(key, value as StoredNote);
+      if (!note) continue; // Skip notes that fail to decrypt
 
-      // Filter by pageURL if provided
+      // Filter by pageURL if provided (sealed notes only know it once decrypted)
       if (pageURL !== undefined && note.pageURL !== pageURL) continue;
 
-      // Decrypt BOTH title and content if needed
-      if (metadata?.encrypted && this.encryptionKey) {
-        // Decrypt title
-        if (metadata.titleEncryptionMetadata) {
-          const decryptedTitle = await CryptoManager.decrypt(
-            metadata.titleEncryptionMetadata,
-            this.encryptionKey
-          );
-          if (decryptedTitle.success) {
-            note.title = decryptedTitle.plaintext;
-          } else {
-            continue; // Skip notes that fail to decrypt
-          }
-        }
+      notes.push(note);
+    }
+
+    return notes;
+  }
 
-        // Decrypt content
-        if (metadata.contentEncryptionMetadata) {
-          const decryptedContent = await CryptoManager.decrypt(
-            metadata.contentEncryptionMetadata,
-            this.encryptionKey
-          );
-          if (decryptedContent.success) {
-            note.content = decryptedContent.plaintext;
-          } else {
-            continue; // Skip notes that fail to decrypt
-          }
+  /**
+   * Decrypt a stored note and strip its metadata
+   * Returns null when decryption fails. Notes with plaintext metadata or
+   * version 1 envelopes are resealed once read.
+   */
+  private static async decryptStoredNote(key: string, stored: StoredNote): Promise<Note | null> {
+    const { pageId, _metadata: metadata, ...note } = stored as StoredNote & Note;
+
+    if (metadata?.encrypted && this.encryptionKey) {
+      let stale = !metadata.metadataEncryptionMetadata;
+      let extra: NoteMetadata = { encrypted: true };
+
+      for (const field of ['title', 'content', 'metadata'] as const) {
+        const envelope = metadata[`${field}EncryptionMetadata`];
+        if (!envelope) continue;
+
+        const decrypted = await CryptoManager.decrypt(envelope, this.encryptionKey, {
+          noteId: note.id,
+          field,
+        });
+        if (!decrypted.success) {
+          return null;
         }
+        if (field === 'metadata') {
+          const { tags, pinned, ...fields } = JSON.parse(decrypted.plaintext);
+          Object.assign(note, fields);
+          extra = { ...extra, tags, pinned };
+        } else {
+          note[field] = decrypted.plaintext;
+        }
+        stale ||= !!decrypted.legacy;
       }
 
-      // Remove metadata from returned note
-      delete (note as any)._metadata;
-
-      notes.push(note);
+      if (stale) {
+        const current = await this.getRawStorage(key);
+        // Only when nothing changed in between
+        if (JSON.stringify(current) === JSON.stringify(stored)) {
+          await this.saveNote(note as Note, { ...metadata, ...extra });
+        }
+      }
     }
 
-    return notes;
+    return note as Note;
   }
 
   /**
@@ -323,10 +459,61 @@ export class StorageManager {
    * Updated to use pageURL instead of url
    */
   static async deleteNote(id: string, pageURL?: string | null): Promise<void> {
-    const key = pageURL
-      ? `note:${this.normalizeUrl(pageURL)}:${id}`
-      : `note:${id}`;
-    await this.removeRawStorage(key);
+    const found = await this.findStoredNote(id, pageURL);
+    if (found) {
+      await this.removeRawStorage(found.key);
+    }
+  }
+
+  /**
+   * Look up a stored note under its sealed (page id) and plaintext keys
+   */
+  private static async findStoredNote(
+    id: string,
+    pageURL?: string | null
+  ): Promise<{ key: string; stored: StoredNote } | null> {
+    const pageRefs: (string | null)[] = [null];
+    if (pageURL) {
+      pageRefs[0] = this.normalizeUrl(pageURL);
+      if (this.pageIdKey) {
+        pageRefs.unshift(await this.getPageId(pageURL));
+      }
+    }
+
+    for (const pageRef of pageRefs) {
+      const key = pageRef ? `note:${pageRef}:${id}` : `note:${id}`;
+      const stored = (await this.getRawStorage(key)) as StoredNote | undefined;
+      if (stored) {
+        return { key, stored };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Raw records that may be notes of a page, looked up by page id and URL
+   * through the backend's page index
+   */
+  private static async getStoredPageNotes(pageURL: string): Promise<Record<string, unknown>> {
+    const backend = this.getBackend();
+    const pageRefs = [this.normalizeUrl(pageURL)];
+    if (this.pageIdKey) {
+      pageRefs.push(await this.getPageId(pageURL));
+    }
+    const results = await Promise.all(pageRefs.map(pageRef => backend.query('pageURL', pageRef)));
+    return Object.assign({}, ...results);
+  }
+
+  private static storedNoteKey(stored: StoredNote): string {
+    const pageRef = stored.pageId || stored.pageURL;
+    return pageRef ? `note:${pageRef}:${stored.id}` : `note:${stored.id}`;
+  }
+
+  /**
+   * HMAC page identifier used in place of the URL in sealed storage keys
+   */
+  private static async getPageId(pageURL: string): Promise<string> {
+    return CryptoManager.pageId(this.pageIdKey!, this.normalizeUrl(pageURL));
   }
 
   /**
@@ -347,26 +534,130 @@ export class StorageManager {
 
   /**
    * Set PIN
+   * Re-wraps the unlocked data key, or creates one for a new vault.
    */
-  static async setPIN(pin: string): Promise<void> {
-    const hash = await CryptoManager.hashData(pin);
-    await this.updateSettings({ pinHash: hash });
+  static async setPIN(pin: string, kind: SecretKind = 'pin'): Promise<void> {
+    const check = PINValidator.isValidSecret(pin, kind, (await this.getSettings()).passphrasePolicy);
+    if (!check.valid) {
+      throw new Error(check.errors[0]);
+    }
+
+    let rawKey = this.dataKey;
+    if (!rawKey) {
+      if (await this.getRawStorage('vaultKeys')) {
+        throw new Error('Unlock before setting a new PIN');
+      }
+      rawKey = (await CryptoManager.generateDataKey()).rawKey;
+    }
+    const kdf = getKdfPreset((await this.getSettings()).keyDerivation);
+    await this.storeWrappedKey({ ...(await CryptoManager.wrapDataKey(rawKey, pin, kdf)), kind });
     this.currentPIN = pin;
   }
 
+  /**
+   * Change PIN without re-encrypting notes
+   */
+  static async changePIN(
+    currentPin: string,
+    newPin: string,
+    kind: SecretKind = 'pin'
+  ): Promise<boolean> {
+    const check = PINValidator.isValidSecret(newPin, kind, (await this.getSettings()).passphrasePolicy);
+    if (!check.valid || !(await this.unlockEncryption(currentPin)) || !this.dataKey) {
+      return false;
+    }
+    const kdf = getKdfPreset((await this.getSettings()).keyDerivation);
+    await this.storeWrappedKey({ ...(await CryptoManager.wrapDataKey(this.dataKey, newPin, kdf)), kind });
+    this.currentPIN = newPin;
+    return true;
+  }
+
+  /**
+   * Create (or replace) the recovery code; returns it to be shown once
+   */
+  static async createRecoveryCode(): Promise<string> {
+    if (!this.dataKey) {
+      throw new Error('Unlock before creating a recovery code');
+    }
+    const code = CryptoManager.generateRecoveryCode();
+    const secret = CryptoManager.normalizeRecoveryCode(code);
+    await this.storeWrappedKey(await CryptoManager.wrapDataKey(this.dataKey, secret), 'recovery');
+    return code;
+  }
+
+  /**
+   * Remove the recovery code
+   */
+  static async disableRecovery(): Promise<void> {
+    const vaultKeys = (await this.getRawStorage('vaultKeys')) as VaultKeys | undefined;
+    if (vaultKeys?.wrappedKeys.recovery) {
+      delete vaultKeys.wrappedKeys.recovery;
+      await this.setRawStorage('vaultKeys', vaultKeys);
+    }
+  }
+
+  /**
+   * Unlock with the recovery code and set a new PIN
+   */
+  static async recoverWithCode(code: string, newPin: string): Promise<boolean> {
+    const vaultKeys = (await this.getRawStorage('vaultKeys')) as VaultKeys | undefined;
+    const wrapped = vaultKeys?.wrappedKeys.recovery;
+    if (!wrapped) {
+      return false;
+    }
+
+    const dataKey = await CryptoManager.unwrapDataKey(
+      wrapped,
+      CryptoManager.normalizeRecoveryCode(code)
+    );
+    if (!dataKey) {
+      return false;
+    }
+
+    const pinWrapped = await CryptoManager.wrapDataKey(dataKey.rawKey, newPin);
+    await this.storeWrappedKey(pinWrapped);
+
+    this.encryptionKey = dataKey.key;
+    this.encryptionSalt = this.base64ToArrayBuffer(pinWrapped.salt) as Uint8Array;
+    this.dataKey = dataKey.rawKey;
+    this.pageIdKey = await CryptoManager.derivePageIdKey(dataKey.rawKey);
+    this.currentPIN = newPin;
+    return true;
+  }
+
+  /**
+   * Store a wrapped data key and drop legacy verifiers
+   */
+  private static async storeWrappedKey(
+    wrapped: WrappedKey & { kind?: SecretKind },
+    method: keyof VaultKeys['wrappedKeys'] = 'pin'
+  ): Promise<void> {
+    const vaultKeys = ((await this.getRawStorage('vaultKeys')) as VaultKeys | undefined) || {
+      version: 1,
+      wrappedKeys: {},
+    };
+    vaultKeys.wrappedKeys[method] = { ...wrapped, createdAt: Date.now() };
+
+    const { pinHash, ...settings } = await this.getSettings();
+    await this.setRawStorage('vaultKeys', vaultKeys);
+    await this.setRawStorage('settings', settings);
+    await this.removeRawStorage('encryptionSalt');
+    await this.removeRawStorage('keyCheck');
+  }
+
   /**
    * Export all notes as JSON (with encryption keys if enabled)
    */
   static async exportNotes(): Promise<string> {
     const notes = await this.getAllNotes();
     const settings = await this.getSettings();
-    const salt = await this.getRawStorage('encryptionSalt');
+    const vaultKeys = await this.getRawStorage('vaultKeys');
 
     const exportData = {
       version: '2.0',
       exportedAt: new Date().toISOString(),
       encryptionEnabled: settings.encryptionEnabled,
-      encryptionSalt: salt,
+      vaultKeys,
       notes,
     };
 
@@ -478,71 +769,47 @@ export class StorageManager {
       size: sizeMap[settings.defaultNoteSize] || sizeMap['medium'],
       pageURL,
       masked: false,
+      revision: 1,
       ...overrides,
     };
 
     return defaultNote;
   }
 
-  // ===== Raw Storage Operations (using Chrome/Firefox Storage API) =====
+  /**
+   * Space used by the storage backend
+   * quotaBytes is null where the backend has no fixed quota.
+   */
+  static async getStorageUsage(): Promise<{ bytesInUse: number; quotaBytes: number | null }> {
+    return this.getBackend().getUsage();
+  }
+
+  /**
+   * Replace the backend shared with the background worker, e.g. with a
+   * MemoryStorageBackend in tests
+   */
+  static useBackend(backend: StorageBackend): void {
+    this.backend = backend;
+  }
+
+  // ===== Raw Storage Operations (through the StorageBackend) =====
+
+  private static getBackend(): StorageBackend {
+    this.backend ??= getStorageBackend();
+    return this.backend;
+  }
 
   private static async getRawStorage(key: string): Promise<unknown> {
-    return new Promise(resolve => {
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.get([key], result => {
-          resolve(result[key]);
-        });
-      } else {
-        // Fallback to localStorage
-        const stored = localStorage.getItem(key);
-        resolve(stored ? JSON.parse(stored) : null);
-      }
-    });
+    const items = await this.getBackend().get(key);
+    return items[key];
   }
 
   private static async setRawStorage(key: string, value: unknown): Promise<void> {
-    return new Promise(resolve => {
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.set({ [key]: value }, () => resolve());
-      } else {
-        // Fallback to localStorage
-        localStorage.setItem(key, JSON.stringify(value));
-        resolve();
-      }
-    });
+    await this.getBackend().set({ [key]: value });
   }
 
   private static async removeRawStorage(key: string): Promise<void> {
-    return new Promise(resolve => {
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.remove([key], () => resolve());
-      } else {
-        // Fallback to localStorage
-        localStorage.removeItem(key);
-        resolve();
-      }
-    });
-  }
-
-  private static async getAllRawStorage(): Promise<Record<string, unknown>> {
-    return new Promise(resolve => {
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.get(null, items => {
-          resolve(items);
-        });
-      } else {
-        // Fallback to localStorage
-        const items: Record<string, unknown> = {};
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (key) {
-            const stored = localStorage.getItem(key);
-            items[key] = stored ? JSON.parse(stored) : null;
-          }
-        }
-        resolve(items);
-      }
-    });
+    await this.getBackend().remove(key);
   }
 
   // ===== Utility Methods =====
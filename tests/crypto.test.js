@@ -0,0 +1,78 @@
+/**
+ * QuietNote Key Derivation Tests
+ * Run with: node --test tests/crypto.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scrypt } from '../crypto/scrypt.js';
+import {
+  assertKdfParams,
+  deriveKeyBits,
+  getKdfPreset,
+  isSameKdf,
+  KDF_PRESETS,
+  LEGACY_KDF_PARAMS,
+} from '../crypto/kdf.js';
+
+const encode = text => new TextEncoder().encode(text);
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+// RFC 7914, section 12
+test('scrypt matches the RFC 7914 test vectors', async () => {
+  assert.equal(
+    hex(await scrypt(encode(''), encode(''), { N: 16, r: 1, p: 1 }, 64)),
+    '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+      'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906'
+  );
+  assert.equal(
+    hex(await scrypt(encode('password'), encode('NaCl'), { N: 1024, r: 8, p: 16 }, 64)),
+    'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+      '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+  );
+});
+
+test('scrypt rejects N that is not a power of two', async () => {
+  await assert.rejects(scrypt(encode('a'), encode('b'), { N: 1000, r: 8, p: 1 }, 32));
+});
+
+test('derives keys with stored PBKDF2 parameters', async () => {
+  const salt = encode('0123456789abcdef');
+  const bits = await deriveKeyBits('1234', salt, LEGACY_KDF_PARAMS);
+
+  const baseKey = await crypto.subtle.importKey('raw', encode('1234'), 'PBKDF2', false, ['deriveBits']);
+  const expected = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations: 310000, hash: 'SHA-256' },
+    baseKey,
+    256
+  );
+  assert.equal(hex(bits), hex(new Uint8Array(expected)));
+});
+
+test('refuses unknown algorithms and out-of-range parameters', async () => {
+  const salt = new Uint8Array(16);
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'md5' }), /Unsupported key derivation/);
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'pbkdf2-sha256', iterations: 1000 }));
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2 ** 24, r: 8, p: 1 }));
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2, r: 8, p: 1 }), /Unsupported scrypt/);
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2 ** 14, r: 1, p: 1 }), /Unsupported scrypt/);
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2 ** 14, r: 8, p: 0 }), /Unsupported scrypt/);
+});
+
+test('refuses scrypt parameters whose combined cost is too high', async () => {
+  const salt = new Uint8Array(16);
+  // Each within its own bound, but 4 GiB / 1 GiB of memory
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2 ** 20, r: 32, p: 1 }), /Unsupported scrypt/);
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2 ** 20, r: 8, p: 1 }), /Unsupported scrypt/);
+  // 64 MiB, but sixteen passes over it
+  await assert.rejects(deriveKeyBits('1234', salt, { algorithm: 'scrypt', N: 2 ** 16, r: 8, p: 16 }), /Unsupported scrypt/);
+  assert.doesNotThrow(() => assertKdfParams(KDF_PRESETS.scrypt));
+});
+
+test('detects parameters that need an upgrade', () => {
+  assert.equal(isSameKdf(KDF_PRESETS.scrypt, getKdfPreset('scrypt')), true);
+  assert.equal(isSameKdf(undefined, getKdfPreset('pbkdf2')), false);
+  assert.equal(isSameKdf(LEGACY_KDF_PARAMS, KDF_PRESETS.pbkdf2), false);
+  assert.equal(getKdfPreset('unknown'), KDF_PRESETS.scrypt);
+});
@@ -0,0 +1,27 @@
+/**
+ * QuietNote Line Diff Tests
+ * Run with: node --test tests/diff.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffLines } from '../background/diff.js';
+
+test('marks lines removed and added between versions', () => {
+  assert.deepEqual(diffLines('a\nold\nb', 'a\nnew\nb'), [
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'old' },
+    { type: 'added', text: 'new' },
+    { type: 'same', text: 'b' },
+  ]);
+  assert.deepEqual(diffLines('a\nb', 'a\nb').map(line => line.type), ['same', 'same']);
+});
+
+test('falls back to replacing every line of very long texts', () => {
+  const before = Array.from({ length: 600 }, (_, i) => `a${i}`).join('\n');
+  const after = Array.from({ length: 600 }, (_, i) => (i % 2 ? `a${i}` : `b${i}`)).join('\n');
+  const types = diffLines(before, after).map(line => line.type);
+  assert.equal(types.filter(type => type === 'removed').length, 599);
+  assert.equal(types.filter(type => type === 'added').length, 599);
+});
@@ -0,0 +1,118 @@
+/**
+ * QuietNote IndexedDB Backend Tests
+ * Run with: node --test tests/indexeddb.test.js
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { IndexedDBBackend, MIGRATION_MARKER } from '../storage/indexeddb-backend.js';
+import { ChromeStorageBackend, createStorageBackend, MemoryStorageBackend } from '../storage/backends.js';
+
+let databases = 0;
+const open = (options = {}) => new IndexedDBBackend({ name: `quietnote-test-${++databases}`, ...options });
+const delivered = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('reads and writes like chrome.storage.local', async () => {
+  const storage = open();
+
+  await storage.set({ a: 1, b: { nested: true } });
+  assert.deepEqual(await storage.get('a'), { a: 1 });
+  assert.deepEqual(await storage.get(['a', 'missing']), { a: 1 });
+  assert.deepEqual(Object.keys(await storage.get(null)).sort(), ['a', 'b']);
+
+  await storage.remove(['a', 'missing']);
+  assert.deepEqual(await storage.get(null), { b: { nested: true } });
+  await storage.clear();
+  assert.deepEqual(await storage.get(null), {});
+});
+
+test('queries note records by their index fields', async () => {
+  const storage = open();
+  await storage.set({
+    'note:a': { id: 'a', pageURL: null, updatedAt: 10 },
+    'note:https://example.com/:b': { id: 'b', pageURL: 'https://example.com/', updatedAt: 20 },
+    settings: { id: 'a' },
+  });
+
+  assert.deepEqual(Object.keys(await storage.query('id', 'a')), ['note:a']);
+  assert.deepEqual(Object.keys(await storage.query('pageURL', 'https://example.com/')), ['note:https://example.com/:b']);
+  assert.deepEqual(Object.keys(await storage.query('updatedAt', 20)), ['note:https://example.com/:b']);
+});
+
+test('reads the records under a key prefix', async () => {
+  const storage = open();
+  await storage.set({
+    'note:a': { id: 'a' },
+    'note:https://example.com/:b': { id: 'b' },
+    'note;': 1,
+    'trash:a': { deletedAt: 1 },
+    notes: true,
+  });
+
+  assert.deepEqual(Object.keys(await storage.getByPrefix('note:')).sort(), ['note:a', 'note:https://example.com/:b']);
+  assert.deepEqual(await storage.getByPrefix('trash:'), { 'trash:a': { deletedAt: 1 } });
+  assert.deepEqual(await storage.getByPrefix('revisions:'), {});
+});
+
+test('reports only records that changed', async () => {
+  const storage = open();
+  const changes = [];
+  storage.onChanged(change => changes.push(change));
+
+  await storage.set({ a: 1 });
+  await storage.set({ a: 2 });
+  await storage.remove(['a', 'missing']);
+  await storage.remove('a');
+  await storage.set({ b: 1 });
+  await storage.clear();
+
+  assert.deepEqual(changes, [
+    { a: { oldValue: undefined, newValue: 1 } },
+    { a: { oldValue: 1, newValue: 2 } },
+    { a: { oldValue: 2 } },
+    { b: { oldValue: undefined, newValue: 1 } },
+    { b: { oldValue: 1 } },
+  ]);
+});
+
+test('reports writes to other instances on the same database', async () => {
+  const name = `quietnote-test-${++databases}`;
+  const worker = new IndexedDBBackend({ name });
+  const popup = new IndexedDBBackend({ name });
+  const changes = [];
+  popup.onChanged(change => changes.push(change));
+
+  await worker.set({ a: 1 });
+  await delivered();
+  assert.deepEqual(changes, [{ a: { oldValue: undefined, newValue: 1 } }]);
+  assert.deepEqual(await popup.get('a'), { a: 1 });
+});
+
+test('moves the records of another backend in once', async () => {
+  const source = new MemoryStorageBackend({ settings: { theme: 'dark' }, 'note:a': { id: 'a', pageURL: null } });
+  const storage = open({ migrateFrom: source });
+
+  assert.deepEqual(await storage.get('settings'), { settings: { theme: 'dark' } });
+  assert.deepEqual(Object.keys(await storage.query('id', 'a')), ['note:a']);
+  assert.ok((await storage.get(MIGRATION_MARKER))[MIGRATION_MARKER]);
+  assert.deepEqual(await source.get(null), {});
+
+  // Reopened, records written to the source since are left there
+  await source.set({ later: true });
+  const reopened = new IndexedDBBackend({ name: storage.name, migrateFrom: source });
+  assert.deepEqual(await reopened.get('later'), {});
+  assert.deepEqual(await source.get(null), { later: true });
+});
+
+test('is picked in the extension, migrating from chrome.storage.local', () => {
+  globalThis.chrome = { storage: { local: {}, onChanged: { addListener() {} } } };
+  try {
+    const storage = createStorageBackend();
+    assert.ok(storage instanceof IndexedDBBackend);
+    assert.ok(storage.migrateFrom instanceof ChromeStorageBackend);
+  } finally {
+    delete globalThis.chrome;
+  }
+});
@@ -0,0 +1,29 @@
+/**
+ * QuietNote Note Merge Tests
+ * Run with: node --test tests/merge.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeText } from '../background/merge.js';
+
+test('returns identical versions unchanged', () => {
+  assert.equal(mergeText('a\nb', 'a\nb'), 'a\nb');
+});
+
+test('keeps lines added on either side', () => {
+  assert.equal(
+    mergeText('groceries\nmilk\neggs', 'groceries\nmilk\nbread\neggs'),
+    'groceries\nmilk\nbread\neggs'
+  );
+  assert.equal(
+    mergeText('todo\nfrom tab one\nend', 'todo\nfrom tab two\nend'),
+    'todo\nfrom tab one\nfrom tab two\nend'
+  );
+});
+
+test('keeps every line of both when nothing matches', () => {
+  assert.equal(mergeText('one', 'two'), 'one\ntwo');
+  assert.equal(mergeText('', 'new'), 'new');
+});
@@ -3,61 +3,10 @@
  * Validates data migration from old schema to new specification-compliant schema
  */
 
-// Mock Chrome Storage API for testing
-const mockStorage = new Map();
-
-global.chrome = {
-  storage: {
-    local: {
-      get: (keys) => {
-        return new Promise(resolve => {
-          if (typeof keys === 'string') {
-            resolve({ [keys]: mockStorage.get(keys) });
-          } else if (Array.isArray(keys)) {
-            const result = {};
-            keys.forEach(key => {
-              if (mockStorage.has(key)) {
-                result[key] = mockStorage.get(key);
-              }
-            });
-            resolve(result);
-          } else {
-            // Get all
-            const result = {};
-            mockStorage.forEach((value, key) => {
-              result[key] = value;
-            });
-            resolve(result);
-          }
-        });
-      },
-      set: (items) => {
-        return new Promise(resolve => {
-          Object.entries(items).forEach(([key, value]) => {
-            mockStorage.set(key, value);
-          });
-          resolve();
-        });
-      },
-      remove: (keys) => {
-        return new Promise(resolve => {
-          if (Array.isArray(keys)) {
-            keys.forEach(key => mockStorage.delete(key));
-          } else {
-            mockStorage.delete(keys);
-          }
-          resolve();
-        });
-      },
-      clear: () => {
-        return new Promise(resolve => {
-          mockStorage.clear();
-          resolve();
-        });
-      }
-    }
-  }
-};
+import { MemoryStorageBackend } from '../storage/backends.js';
+
+// Same interface the extension stores its records through
+const storage = new MemoryStorageBackend();
 
 // Import migration module (will need to be compiled from TS first)
 // For now, we'll use inline test functions
@@ -70,10 +19,10 @@ async function testFreshInstall() {
 
   try {
     // Clear storage
-    await chrome.storage.local.clear();
+    await storage.clear();
 
     // Check initial state
-    const data = await chrome.storage.local.get();
+    const data = await storage.get(null);
 
     // Verify empty state
     const noteKeys = Object.keys(data).filter(k => k.startsWith('note:'));
@@ -99,7 +48,7 @@ async function testPlaintextMigration() {
 
   try {
     // Clear storage
-    await chrome.storage.local.clear();
+    await storage.clear();
 
     // Create old schema notes
     const oldNote1 = {
@@ -127,7 +76,7 @@ async function testPlaintextMigration() {
     };
 
     // Store old notes
-    await chrome.storage.local.set({
+    await storage.set({
       'note:https://example.com/page:note-001': oldNote1,
       'note:note-002': oldNote2,
       settings: {
@@ -140,7 +89,7 @@ async function testPlaintextMigration() {
 
     // Simulate migration
     const { MigrationManager } = await import('../storage/migration.ts');
-    const allStorage = await chrome.storage.local.get();
+    const allStorage = await storage.get(null);
 
     const result = await MigrationManager.migrateAllNotes(
       allStorage,
@@ -209,7 +158,7 @@ async function testEncryptedMigration() {
 
   try {
     // Clear storage
-    await chrome.storage.local.clear();
+    await storage.clear();
 
     // Create old schema encrypted note
     const oldEncryptedNote = {
@@ -229,7 +178,7 @@ async function testEncryptedMigration() {
       }
     };
 
-    await chrome.storage.local.set({
+    await storage.set({
       'note:https://secure.example.com:note-003': oldEncryptedNote
     });
 
@@ -237,7 +186,7 @@ async function testEncryptedMigration() {
 
     // Simulate migration
     const { MigrationManager } = await import('../storage/migration.ts');
-    const allStorage = await chrome.storage.local.get();
+    const allStorage = await storage.get(null);
 
     const result = await MigrationManager.migrateAllNotes(
       allStorage,
@@ -276,7 +225,7 @@ async function testCorruptNoteHandling() {
 
   try {
     // Clear storage
-    await chrome.storage.local.clear();
+    await storage.clear();
 
     // Create corrupt notes (missing required fields)
     const corruptNote1 = {
@@ -293,7 +242,7 @@ async function testCorruptNoteHandling() {
       content: 'Missing timestamps'
     };
 
-    await chrome.storage.local.set({
+    await storage.set({
       'note:corrupt-1': corruptNote1,
       'note:corrupt-2': corruptNote2
     });
@@ -302,7 +251,7 @@ async function testCorruptNoteHandling() {
 
     // Simulate migration
     const { MigrationManager } = await import('../storage/migration.ts');
-    const allStorage = await chrome.storage.local.get();
+    const allStorage = await storage.get(null);
 
     const result = await MigrationManager.migrateAllNotes(
       allStorage,
@@ -341,7 +290,7 @@ async function testURLNormalization() {
 
   try {
     // Clear storage
-    await chrome.storage.local.clear();
+    await storage.clear();
 
     // Create notes with various URL formats
     const testURLs = [
@@ -367,13 +316,13 @@ async function testURLNormalization() {
       storageData[`note:${note.url}:${note.id}`] = note;
     });
 
-    await chrome.storage.local.set(storageData);
+    await storage.set(storageData);
 
     console.log('Notes with various URLs stored:', notes.length);
 
     // Simulate migration
     const { MigrationManager } = await import('../storage/migration.ts');
-    const allStorage = await chrome.storage.local.get();
+    const allStorage = await storage.get(null);
 
     const result = await MigrationManager.migrateAllNotes(
       allStorage,
@@ -0,0 +1,61 @@
+/**
+ * QuietNote PIN / Passphrase Validation Tests
+ * Run with: node --test tests/pin-validation.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  checkSecret,
+  estimateStrength,
+  inferSecretKind,
+  DEFAULT_PASSPHRASE_POLICY,
+} from '../crypto/secret-policy.js';
+
+test('accepts 4-8 digit PINs only', () => {
+  assert.deepEqual(checkSecret('1234', 'pin'), []);
+  assert.deepEqual(checkSecret('12345678', 'pin'), []);
+  assert.equal(checkSecret('123', 'pin').length, 1);
+  assert.equal(checkSecret('123456789', 'pin').length, 1);
+  assert.deepEqual(checkSecret('12a4', 'pin'), ['PIN must contain only digits']);
+});
+
+test('applies the default passphrase policy', () => {
+  assert.deepEqual(checkSecret('correct horse battery', 'passphrase'), []);
+  assert.deepEqual(checkSecret('short words', 'passphrase'), [
+    `Passphrase must be at least ${DEFAULT_PASSPHRASE_POLICY.minLength} characters`,
+  ]);
+  assert.deepEqual(checkSecret('1234567890123', 'passphrase'), [
+    'Passphrase must contain a lowercase letter',
+  ]);
+});
+
+test('enforces required character classes from settings', () => {
+  const policy = { minLength: 8, requireUppercase: true, requireDigit: true, requireSymbol: true };
+
+  assert.deepEqual(checkSecret('Tr0ub4dor&3', 'passphrase', policy), []);
+  assert.deepEqual(checkSecret('troubadour', 'passphrase', policy), [
+    'Passphrase must contain an uppercase letter',
+    'Passphrase must contain a digit',
+    'Passphrase must contain a symbol',
+  ]);
+});
+
+test('rejects common passphrases and unknown kinds', () => {
+  assert.ok(checkSecret('password123', 'passphrase', { minLength: 8 }).includes('Passphrase is too common'));
+  assert.deepEqual(checkSecret('whatever', 'fingerprint'), ['Unknown secret kind: fingerprint']);
+});
+
+test('estimates strength from length, character pool and patterns', () => {
+  assert.equal(estimateStrength('').score, 0);
+  assert.equal(estimateStrength('password').score, 0);
+  assert.equal(estimateStrength('4821').score, 0);
+  assert.ok(estimateStrength('abcdefghijkl').score < estimateStrength('qmzrtpxkwbvy').score);
+  assert.equal(estimateStrength('correct horse battery staple').score, 4);
+});
+
+test('infers the kind of legacy secrets', () => {
+  assert.equal(inferSecretKind('0042'), 'pin');
+  assert.equal(inferSecretKind('my notes 42'), 'passphrase');
+});
@@ -0,0 +1,87 @@
+/**
+ * QuietNote Storage Backend Tests
+ * Run with: node --test tests/storage.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createStorageBackend,
+  MemoryStorageBackend,
+  recordIndexFields,
+} from '../storage/backends.js';
+
+test('picks the memory backend outside the extension', () => {
+  assert.ok(createStorageBackend() instanceof MemoryStorageBackend);
+});
+
+test('reads and writes like chrome.storage.local', async () => {
+  const storage = new MemoryStorageBackend({ settings: { theme: 'dark' } });
+
+  await storage.set({ a: 1, b: { nested: true } });
+  assert.deepEqual(await storage.get('a'), { a: 1 });
+  assert.deepEqual(await storage.get(['a', 'missing']), { a: 1 });
+  assert.deepEqual(Object.keys(await storage.get(null)).sort(), ['a', 'b', 'settings']);
+
+  // Values are copies, not references into the store
+  const { b } = await storage.get('b');
+  b.nested = false;
+  assert.deepEqual(await storage.get('b'), { b: { nested: true } });
+
+  await storage.remove(['a', 'missing']);
+  assert.deepEqual(await storage.get('a'), {});
+  await storage.clear();
+  assert.deepEqual(await storage.get(null), {});
+});
+
+test('reports writes to onChanged listeners', async () => {
+  const storage = new MemoryStorageBackend({ a: 1 });
+  const changes = [];
+  storage.onChanged(change => changes.push(change));
+
+  await storage.set({ a: 2 });
+  await storage.remove('a');
+  await storage.remove('a');
+  await new Promise(resolve => setTimeout(resolve));
+
+  assert.deepEqual(changes, [
+    { a: { oldValue: 1, newValue: 2 } },
+    { a: { oldValue: 2 } },
+  ]);
+});
+
+test('queries note records by their index fields', async () => {
+  const storage = new MemoryStorageBackend({
+    'note:a': { id: 'a', pageURL: null, updatedAt: 10 },
+    'note:https://example.com/:b': { id: 'b', pageURL: 'https://example.com/', updatedAt: 20 },
+    'note:pageid:c': { id: 'c', pageId: 'pageid', title: 'x', _metadata: { encrypted: true } },
+    settings: { id: 'a' },
+  });
+
+  assert.deepEqual(Object.keys(await storage.query('id', 'a')), ['note:a']);
+  assert.deepEqual(Object.keys(await storage.query('pageURL', 'https://example.com/')), ['note:https://example.com/:b']);
+  assert.deepEqual(Object.keys(await storage.query('pageURL', 'pageid')), ['note:pageid:c']);
+  assert.deepEqual(Object.keys(await storage.query('updatedAt', 20)), ['note:https://example.com/:b']);
+});
+
+test('reads the records under a key prefix', async () => {
+  const storage = new MemoryStorageBackend({
+    'note:a': { id: 'a' },
+    'note:https://example.com/:b': { id: 'b' },
+    'trash:a': { deletedAt: 1 },
+    notes: true,
+  });
+
+  assert.deepEqual(Object.keys(await storage.getByPrefix('note:')).sort(), ['note:a', 'note:https://example.com/:b']);
+  assert.deepEqual(await storage.getByPrefix('trash:'), { 'trash:a': { deletedAt: 1 } });
+  assert.deepEqual(await storage.getByPrefix('revisions:'), {});
+});
+
+test('keeps encrypted fields out of the index', () => {
+  assert.deepEqual(recordIndexFields('note:pageid:c', { id: 'c', pageId: 'pageid', _metadata: {} }), {
+    id: 'c',
+    pageURL: 'pageid',
+  });
+  assert.deepEqual(recordIndexFields('settings', { id: 'x' }), {});
+});
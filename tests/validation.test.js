@@ -0,0 +1,139 @@
+/**
+ * QuietNote Message Validation Tests
+ * Run with: node --test tests/validation.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateMessage, VALIDATION_CODES } from '../background/validation.js';
+
+const validNote = {
+  id: 'note-001',
+  title: 'Title',
+  content: 'Content',
+  color: '#FFF9E6',
+  position: { x: 20, y: 20 },
+  size: { width: 300, height: 200 },
+  pageURL: null,
+  masked: false,
+};
+
+test('accepts a well-formed CREATE_NOTE', () => {
+  assert.equal(validateMessage({ type: 'CREATE_NOTE', note: validNote }), null);
+});
+
+test('rejects a note without an id', () => {
+  const { id, ...note } = validNote;
+  const result = validateMessage({ type: 'CREATE_NOTE', note });
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'VALIDATION_ERROR');
+  assert.deepEqual(result.details.map(d => [d.path, d.code]), [
+    ['note.id', VALIDATION_CODES.MISSING_FIELD],
+  ]);
+});
+
+test('rejects non-hex colors and negative sizes', () => {
+  const result = validateMessage({
+    type: 'CREATE_NOTE',
+    note: { ...validNote, color: 'red', size: { width: -5, height: 200 } },
+  });
+
+  assert.deepEqual(result.details.map(d => [d.path, d.code]), [
+    ['note.color', VALIDATION_CODES.INVALID_FORMAT],
+    ['note.size.width', VALIDATION_CODES.OUT_OF_RANGE],
+  ]);
+});
+
+test('rejects unknown fields', () => {
+  const result = validateMessage({ type: 'GET_NOTE', id: 'a', extra: true });
+  assert.equal(result.details[0].code, VALIDATION_CODES.UNKNOWN_FIELD);
+});
+
+test('rejects messages without a type', () => {
+  assert.equal(validateMessage(null).details[0].code, VALIDATION_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage({}).details[0].code, VALIDATION_CODES.INVALID_MESSAGE);
+});
+
+test('validates settings against StorageSettings', () => {
+  assert.equal(validateMessage({ type: 'UPDATE_SETTINGS', settings: { theme: 'dark' } }), null);
+
+  const result = validateMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { securityLevel: 'maximum', autoLockTimer: -1 },
+  });
+  assert.deepEqual(result.details.map(d => d.path), [
+    'settings.securityLevel',
+    'settings.autoLockTimer',
+  ]);
+});
+
+test('parses and validates IMPORT_NOTES data', () => {
+  const data = JSON.stringify({ version: '2.0', notes: [validNote] });
+  assert.equal(validateMessage({ type: 'IMPORT_NOTES', data }), null);
+
+  assert.equal(
+    validateMessage({ type: 'IMPORT_NOTES', data: '{not json' }).details[0].code,
+    VALIDATION_CODES.INVALID_JSON
+  );
+
+  const badNotes = JSON.stringify({ notes: [{ title: 'no id' }] });
+  assert.equal(
+    validateMessage({ type: 'IMPORT_NOTES', data: badNotes }).details[0].path,
+    'data.notes[0].id'
+  );
+});
+
+test('validates GET_ALL_NOTES paging and projection', () => {
+  assert.equal(
+    validateMessage({ type: 'GET_ALL_NOTES', offset: 20, limit: 20, fields: ['id', 'preview'] }),
+    null
+  );
+  assert.equal(validateMessage({ type: 'GET_ALL_NOTES', limit: 0 }).success, false);
+  assert.equal(validateMessage({ type: 'GET_ALL_NOTES', offset: 1.5 }).success, false);
+
+  const result = validateMessage({ type: 'GET_ALL_NOTES', fields: ['_metadata'] });
+  assert.equal(result.details[0].code, VALIDATION_CODES.INVALID_FORMAT);
+});
+
+test('validates revision messages and limits', () => {
+  assert.equal(validateMessage({ type: 'LIST_REVISIONS', id: 'note-1', pageURL: null }), null);
+  assert.equal(
+    validateMessage({ type: 'RESTORE_REVISION', id: 'note-1', revisionId: '6f1c2a4e-0b7d-4c1e-9a53-2d8e4f6b7a90' }),
+    null
+  );
+  assert.equal(validateMessage({ type: 'RESTORE_REVISION', id: 'note-1' }).details[0].path, 'revisionId');
+
+  assert.equal(
+    validateMessage({ type: 'UPDATE_SETTINGS', settings: { revisionLimit: 0, revisionMaxAge: 0 } }),
+    null
+  );
+  assert.equal(
+    validateMessage({ type: 'UPDATE_SETTINGS', settings: { revisionLimit: 101 } }).details[0].path,
+    'settings.revisionLimit'
+  );
+});
+
+test('validates trash messages', () => {
+  assert.equal(validateMessage({ type: 'LIST_TRASH' }), null);
+  assert.equal(validateMessage({ type: 'RESTORE_NOTE', id: 'note-1', url: 'https://example.com/' }), null);
+  assert.equal(validateMessage({ type: 'PURGE_TRASH' }), null);
+  assert.equal(validateMessage({ type: 'PURGE_TRASH', id: '../note' }).details[0].path, 'id');
+  assert.equal(
+    validateMessage({ type: 'UPDATE_SETTINGS', settings: { trashRetention: -1 } }).details[0].path,
+    'settings.trashRetention'
+  );
+});
+
+test('validates base revisions of note saves', () => {
+  assert.equal(
+    validateMessage({ type: 'SAVE_PAGE_NOTE', url: 'https://example.com/', id: 'note-1', content: 'x', baseRevision: 3 }),
+    null
+  );
+  assert.equal(validateMessage({ type: 'SAVE_NOTE', content: 'x', baseRevision: 0 }), null);
+  assert.equal(
+    validateMessage({ type: 'SAVE_NOTE', id: 'note-1', content: 'x', baseRevision: 1.5 }).details[0].path,
+    'baseRevision'
+  );
+});
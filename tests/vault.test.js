@@ -0,0 +1,133 @@
+/**
+ * QuietNote Vault Check Tests
+ * Loads the background worker against in-memory extension storage.
+ * Run with: node --test tests/vault.test.js
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getStorageBackend, MemoryStorageBackend } from '../storage/backends.js';
+
+const messageListeners = [];
+const openedTabs = [];
+let sessionAccessLevel = null;
+const listener = { addListener() {} };
+const local = new MemoryStorageBackend({
+  migration_v2_done: true,
+  'note:a': { id: 'a', title: 'Title', content: 'Body', createdAt: 1, updatedAt: 1, pageURL: null, _metadata: {} },
+});
+
+globalThis.chrome = {
+  runtime: {
+    id: 'extid',
+    getURL: path => `chrome-extension://extid/${path}`,
+    onInstalled: listener,
+    onMessage: { addListener: l => messageListeners.push(l) },
+    sendMessage: async () => {},
+  },
+  storage: {
+    local,
+    session: Object.assign(new MemoryStorageBackend(), {
+      setAccessLevel: async ({ accessLevel }) => { sessionAccessLevel = accessLevel; },
+    }),
+    onChanged: listener,
+  },
+  alarms: { create: async () => {}, clear: async () => true, get: async () => null, onAlarm: listener },
+  tabs: { query: async () => [], sendMessage: async () => {}, create: async tab => openedTabs.push(tab) },
+  commands: { onCommand: listener },
+  action: { openPopup() {} },
+};
+
+console.log = () => {};
+await import('../background/background.js');
+
+const settingsPage = { id: 'extid', url: 'chrome-extension://extid/ui/settings.html' };
+const pageTab = { id: 'extid', url: 'https://example.com/', tab: { id: 1, url: 'https://example.com/' } };
+const send = (message, sender = settingsPage) => new Promise(resolve => {
+  for (const l of messageListeners) l(message, sender, resolve);
+});
+
+test('a store migrated from chrome.storage.local verifies clean', async () => {
+  const result = await send({ type: 'VERIFY_VAULT' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.checked, 1);
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(await local.get(null), {});
+});
+
+test('a legacy vault with only its salt takes the PIN that opens its notes', async () => {
+  const storage = getStorageBackend();
+  const salt = crypto.getRandomValues(new Uint8Array(32));
+  const base64 = bytes => Buffer.from(bytes).toString('base64');
+  const secret = await crypto.subtle.importKey('raw', new TextEncoder().encode('2468'), 'PBKDF2', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: 310000, hash: 'SHA-256' },
+    secret,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+  const encrypt = async text => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { ciphertext: base64(new Uint8Array(ciphertext)), iv: base64(iv), salt: base64(salt) };
+  };
+
+  await storage.set({ encryptionSalt: base64(salt) });
+  assert.equal((await send({ type: 'UNLOCK', pin: '2468' })).success, false, 'no notes to check the PIN against');
+
+  await storage.set({
+    'note:n1': {
+      id: 'n1', createdAt: 1, updatedAt: 1, pageURL: null,
+      _metadata: { encrypted: true, titleEncryptionMetadata: await encrypt(''), contentEncryptionMetadata: await encrypt('old') },
+    },
+  });
+  assert.equal((await send({ type: 'UNLOCK', pin: '1111' })).success, false);
+  assert.deepEqual(await storage.get('vaultKeys'), {});
+
+  // Clear the lockout the failed attempts above started
+  await storage.remove('pinAttempts');
+  assert.equal((await send({ type: 'UNLOCK', pin: '2468' })).success, true);
+  const { note } = await send({ type: 'GET_NOTE', id: 'n1' });
+  assert.equal(note.content, 'old');
+});
+
+test('SET_PIN does not replace the PIN of an unlocked vault', async () => {
+  const result = await send({ type: 'SET_PIN', pin: '9999' });
+  assert.equal(result.code, 'PIN_EXISTS');
+
+  await send({ type: 'LOCK' });
+  assert.equal((await send({ type: 'UNLOCK', pin: '2468' })).success, true);
+});
+
+test('deleting a note that does not exist fails', async () => {
+  assert.deepEqual(await send({ type: 'DELETE_NOTE', id: 'missing' }), { success: false, error: 'Note not found' });
+
+  const { trashed } = await send({ type: 'DELETE_NOTE', id: 'a' });
+  assert.equal(trashed, true);
+  assert.deepEqual(await send({ type: 'DELETE_NOTE', id: 'a' }), { success: false, error: 'Note not found' });
+});
+
+test('a restarted worker reopens the session from its sealed copy', async () => {
+  const { vaultSession } = await chrome.storage.session.get('vaultSession');
+  assert.equal(sessionAccessLevel, 'TRUSTED_CONTEXTS');
+  assert.equal(vaultSession.key, undefined);
+  assert.ok(vaultSession.sealedKey.ciphertext);
+
+  messageListeners.length = 0;
+  await import('../background/background.js?restart');
+  const { note } = await send({ type: 'GET_NOTE', id: 'n1' });
+  assert.equal(note.content, 'old');
+});
+
+test('a page can open the vault, in a tab when the popup cannot open', async () => {
+  assert.deepEqual(await send({ type: 'OPEN_VAULT' }, pageTab), { success: true });
+  assert.deepEqual(openedTabs, []);
+
+  chrome.action.openPopup = async () => { throw new Error('No user gesture'); };
+  assert.deepEqual(await send({ type: 'OPEN_VAULT' }, pageTab), { success: true });
+  assert.deepEqual(openedTabs, [{ url: 'chrome-extension://extid/ui/popup.html' }]);
+});
@@ -3,12 +3,35 @@
  * Handles UI interactions and state management
  */
 
+import {
+  checkSecret,
+  DEFAULT_PASSPHRASE_POLICY,
+  PASSPHRASE_MAX_LENGTH,
+  PIN_RULES,
+} from '../crypto/secret-policy.js';
+import { diffLines } from '../background/diff.js';
+
 class PopupManager {
   constructor() {
     this.isLocked = true;
     this.notes = [];
     this.currentEditingNoteId = null;
+    this.currentEditingPageURL = null;
+    this.currentEditingRevision = undefined;
+    this.currentEditingContent = '';
+    this.conflict = null;
+    this.revisions = [];
+    this.selectedRevisionId = null;
     this.lockTimer = null;
+    this.retryTimer = null;
+    this.autoLockTimer = 300000;
+    this.lastUnlock = 0;
+    this.secretKind = 'pin';
+    this.passphrasePolicy = DEFAULT_PASSPHRASE_POLICY;
+    this.maskNoteText = true;
+    this.trashRetention = 2592000000;
+    this.undoTimer = null;
+    this.undoAction = null;
     this.init();
   }
 
@@ -20,8 +43,15 @@ class PopupManager {
       const response = await this.sendMessage({ type: 'GET_POPUP_STATE' });
       this.isLocked = response?.locked ?? true;
       this.notes = response?.notes ?? [];
+      this.autoLockTimer = response?.settings?.autoLockTimer ?? 300000;
+      this.lastUnlock = response?.lastUnlock || Date.now();
+      this.secretKind = response?.secretKind || 'pin';
+      this.passphrasePolicy = { ...DEFAULT_PASSPHRASE_POLICY, ...response?.settings?.passphrasePolicy };
+      this.maskNoteText = response?.settings?.maskNoteText ?? true;
+      this.trashRetention = response?.settings?.trashRetention ?? this.trashRetention;
 
       // Update UI
+      this.applySecretKind();
       this.updateLockStatus();
       this.attachEventListeners();
       this.loadNotes();
@@ -31,6 +61,16 @@ class PopupManager {
         this.startLockTimer();
       }
 
+      // Follow lock/unlock events and note changes from the background
+      // (auto-lock, other tabs)
+      chrome.runtime.onMessage.addListener((message) => {
+        if (message?.type === 'LOCK_UPDATED') {
+          this.handleLockUpdated(message);
+        } else if (message?.type === 'NOTES_CHANGED') {
+          this.handleNotesChanged(message);
+        }
+      });
+
       this.showLoadingState(false);
     } catch (error) {
       console.error('Failed to initialize popup:', error);
@@ -77,6 +117,15 @@ class PopupManager {
       }
     });
 
+    // Recovery form
+    const recoveryForm = document.getElementById('recovery-form');
+    document.querySelector('.forgot-pin-btn')?.addEventListener('click', () => this.showRecoveryForm());
+    recoveryForm?.querySelector('.btn-primary')?.addEventListener('click', () => this.recover());
+    recoveryForm?.querySelector('.btn-secondary')?.addEventListener('click', () => this.hideRecoveryForm());
+    recoveryForm?.querySelectorAll('input[name="recovery-secret-kind"]').forEach((radio) => {
+      radio.addEventListener('change', () => this.applyRecoveryKind());
+    });
+
     // Settings button
     const settingsBtn = document.querySelector('.settings-btn');
     settingsBtn?.addEventListener('click', () => {
@@ -101,6 +150,23 @@ class PopupManager {
     modalClose?.addEventListener('click', () => this.hideNoteEditor());
     cancelBtn2?.addEventListener('click', () => this.hideNoteEditor());
     saveBtn?.addEventListener('click', () => this.saveNote());
+
+    // Trash
+    document.querySelector('.empty-trash-btn')?.addEventListener('click', () => this.emptyTrash());
+    document.querySelector('.undo-btn')?.addEventListener('click', () => {
+      const undo = this.undoAction;
+      this.hideUndoToast();
+      undo?.();
+    });
+
+    // Note history
+    document.querySelector('.history-btn')?.addEventListener('click', () => this.toggleHistory());
+    document.querySelector('.restore-revision-btn')?.addEventListener('click', () => this.restoreRevision());
+
+    // Conflicting edits
+    document.querySelector('.merge-conflict-btn')?.addEventListener('click', () => this.mergeConflict());
+    document.querySelector('.overwrite-conflict-btn')?.addEventListener('click', () => this.overwriteConflict());
+    document.querySelector('.keep-both-conflict-btn')?.addEventListener('click', () => this.keepBothConflict());
   }
 
   updateLockStatus() {
@@ -126,7 +192,22 @@ class PopupManager {
     }
   }
 
+  /**
+   * Adapt the unlock input to the vault's secret (PIN or passphrase)
+   */
+  applySecretKind() {
+    const pinInput = document.getElementById('pin-input');
+    if (!pinInput) return;
+
+    const isPIN = this.secretKind === 'pin';
+    pinInput.maxLength = isPIN ? PIN_RULES.maxLength : PASSPHRASE_MAX_LENGTH;
+    pinInput.inputMode = isPIN ? 'numeric' : 'text';
+    pinInput.placeholder = isPIN ? 'Enter PIN' : 'Enter passphrase';
+    pinInput.classList.toggle('passphrase-input', !isPIN);
+  }
+
   showUnlockForm() {
+    this.hideRecoveryForm();
     const unlockForm = document.getElementById('unlock-form');
     unlockForm.classList.remove('hidden');
     document.getElementById('pin-input').focus();
@@ -137,6 +218,142 @@ class PopupManager {
     const pinInput = document.getElementById('pin-input');
     unlockForm.classList.add('hidden');
     pinInput.value = '';
+    this.showUnlockError(null);
+  }
+
+  showRecoveryForm() {
+    this.hideUnlockForm();
+    const recoveryForm = document.getElementById('recovery-form');
+    // Offer the kind of secret the vault has now
+    recoveryForm.querySelector(`input[name="recovery-secret-kind"][value="${this.secretKind}"]`).checked = true;
+    this.applyRecoveryKind();
+    recoveryForm.classList.remove('hidden');
+    document.getElementById('recovery-code-input').focus();
+  }
+
+  getRecoveryKind() {
+    return document.querySelector('input[name="recovery-secret-kind"]:checked')?.value || 'pin';
+  }
+
+  applyRecoveryKind() {
+    const isPIN = this.getRecoveryKind() === 'pin';
+    const label = isPIN ? 'PIN' : 'passphrase';
+    [['recovery-new-pin', `New ${label}`], ['recovery-confirm-pin', `Confirm ${label}`]].forEach(([id, placeholder]) => {
+      const input = document.getElementById(id);
+      input.maxLength = isPIN ? PIN_RULES.maxLength : PASSPHRASE_MAX_LENGTH;
+      input.inputMode = isPIN ? 'numeric' : 'text';
+      input.placeholder = placeholder;
+      input.classList.toggle('passphrase-input', !isPIN);
+    });
+  }
+
+  hideRecoveryForm() {
+    const recoveryForm = document.getElementById('recovery-form');
+    if (!recoveryForm) return;
+    recoveryForm.classList.add('hidden');
+    recoveryForm.querySelectorAll('input:not([type="radio"])').forEach((input) => {
+      input.value = '';
+    });
+    this.showRecoveryError(null);
+  }
+
+  showRecoveryError(message) {
+    const errorElement = document.getElementById('recovery-error');
+    if (!errorElement) return;
+    errorElement.textContent = message || '';
+    errorElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Unlock with the recovery code and replace the forgotten PIN or
+   * passphrase, with either kind of secret
+   */
+  async recover() {
+    const code = document.getElementById('recovery-code-input').value.trim();
+    const newPin = document.getElementById('recovery-new-pin').value;
+    const confirmPin = document.getElementById('recovery-confirm-pin').value;
+    const kind = this.getRecoveryKind();
+
+    if (!code) {
+      this.showRecoveryError('Enter your recovery code');
+      return;
+    }
+    const errors = checkSecret(newPin, kind, this.passphrasePolicy);
+    if (errors.length > 0) {
+      this.showRecoveryError(errors.join('. '));
+      return;
+    }
+    if (newPin !== confirmPin) {
+      this.showRecoveryError(kind === 'pin' ? 'PINs do not match' : 'Passphrases do not match');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({
+        type: 'RECOVER_VAULT',
+        recoveryCode: code,
+        newPin: newPin,
+        kind
+      });
+
+      if (response?.success) {
+        this.secretKind = kind;
+        this.applySecretKind();
+        this.hideRecoveryForm();
+        this.handleLockUpdated({ locked: false, lastUnlock: Date.now() });
+      } else if (response?.code === 'LOCKED_OUT') {
+        this.showRecoveryError(`Too many attempts. Try again in ${response.retryAfter}s.`);
+      } else if (response?.code === 'INVALID_PIN') {
+        this.showRecoveryError('Recovery code is incorrect');
+      } else {
+        this.showRecoveryError(response?.error || 'Recovery failed');
+      }
+    } catch (error) {
+      this.showRecoveryError('Error recovering notes: ' + error.message);
+    }
+  }
+
+  showUnlockError(message) {
+    const errorElement = document.getElementById('unlock-error');
+    if (!errorElement) return;
+    errorElement.textContent = message || '';
+    errorElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Disable the unlock form and count down until the next attempt is allowed
+   */
+  startRetryCountdown(seconds, prefix) {
+    const unlockForm = document.getElementById('unlock-form');
+    const pinInput = document.getElementById('pin-input');
+    const unlockFormBtn = unlockForm?.querySelector('.btn-primary');
+    let remaining = seconds;
+
+    const setDisabled = (disabled) => {
+      if (pinInput) pinInput.disabled = disabled;
+      if (unlockFormBtn) unlockFormBtn.disabled = disabled;
+    };
+
+    const render = () => {
+      this.showUnlockError(`${prefix} Try again in ${remaining}s.`);
+    };
+
+    clearInterval(this.retryTimer);
+    setDisabled(true);
+    render();
+
+    this.retryTimer = setInterval(() => {
+      remaining--;
+      if (remaining <= 0) {
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
+        setDisabled(false);
+        this.showUnlockError(null);
+        pinInput?.focus();
+        return;
+      }
+      render();
+    }, 1000);
   }
 
   async unlock(pin) {
@@ -148,32 +365,80 @@ class PopupManager {
 
       if (response?.success) {
         this.isLocked = false;
+        this.lastUnlock = Date.now();
         this.hideUnlockForm();
         this.updateLockStatus();
         this.loadNotes();
         this.startLockTimer();
+      } else if (response?.code === 'NO_PIN') {
+        // New vaults are created in settings, which also offers a recovery code
+        this.showUnlockError(response.error);
+        chrome.runtime.openOptionsPage();
+      } else if (response?.code === 'LOCKED_OUT') {
+        this.startRetryCountdown(response.retryAfter, 'Too many attempts.');
+      } else if (response?.code === 'INVALID_PIN' && response.retryAfter) {
+        document.getElementById('pin-input').value = '';
+        this.startRetryCountdown(
+          response.retryAfter,
+          `Invalid ${this.secretLabel()} (${response.attemptsRemaining} attempts left).`
+        );
       } else {
-        alert('Invalid PIN. Please try again.');
+        document.getElementById('pin-input').value = '';
+        this.showUnlockError(response?.error || `Invalid ${this.secretLabel()}. Please try again.`);
       }
     } catch (error) {
       alert('Error unlocking notes: ' + error.message);
     }
   }
 
+  secretLabel() {
+    return this.secretKind === 'pin' ? 'PIN' : 'passphrase';
+  }
+
   async lock() {
     try {
       await this.sendMessage({ type: 'LOCK_NOW' });
-      this.isLocked = true;
-      this.updateLockStatus();
-      this.stopLockTimer();
+      this.handleLockUpdated({ locked: true });
     } catch (error) {
       console.error('Error locking:', error);
     }
   }
 
+  handleLockUpdated({ locked, lastUnlock }) {
+    if (locked === this.isLocked) {
+      return;
+    }
+
+    this.isLocked = locked;
+    this.stopLockTimer();
+
+    if (locked) {
+      // Drop decrypted notes from memory and the DOM
+      this.hideNoteEditor();
+      this.hideUnlockForm();
+      this.notes = [];
+      document.querySelectorAll('.notes-list, .pages-list').forEach((container) => {
+        container.innerHTML = '';
+      });
+      this.updateNotesCount();
+      this.updateLockStatus();
+    } else {
+      this.lastUnlock = lastUnlock || Date.now();
+      this.updateLockStatus();
+      this.loadNotes();
+      this.startLockTimer();
+    }
+  }
+
   startLockTimer() {
     const timerElement = document.getElementById('timer-value');
-    let remainingTime = 300; // 5 minutes default
+    if (!this.autoLockTimer) {
+      return;
+    }
+
+    let remainingTime = Math.ceil(
+      (this.lastUnlock + this.autoLockTimer - Date.now()) / 1000
+    );
 
     this.lockTimer = setInterval(() => {
       remainingTime--;
@@ -213,13 +478,17 @@ class PopupManager {
       this.loadRecentNotes();
     } else if (tabName === 'pages') {
       this.loadPageNotes();
+    } else if (tabName === 'trash') {
+      this.loadTrash();
     }
   }
 
   async loadNotes() {
     try {
+      // Previews only; the editor loads the full note
       const response = await this.sendMessage({
-        type: 'GET_ALL_NOTES'
+        type: 'GET_ALL_NOTES',
+        fields: ['id', 'pageURL', 'updatedAt', 'masked', 'preview']
       });
       this.notes = response?.notes ?? [];
       this.updateNotesCount();
@@ -229,9 +498,50 @@ class PopupManager {
     }
   }
 
+  /**
+   * Notes were edited, created or deleted elsewhere (NOTES_CHANGED)
+   * The lists are reloaded. An open editor follows its note as long as its
+   * text is unedited here; once edited, saving reports the conflict instead.
+   */
+  async handleNotesChanged({ notes: changes }) {
+    if (this.isLocked) return;
+
+    await this.loadNotes();
+    const activeTab = document.querySelector('.tab-btn.active')?.dataset.tab;
+    if (activeTab === 'recent') {
+      this.loadRecentNotes();
+    } else if (activeTab === 'pages') {
+      this.loadPageNotes();
+    } else if (activeTab === 'trash') {
+      this.loadTrash();
+    }
+
+    const id = this.currentEditingNoteId;
+    const change = changes.find((c) => c.id === id);
+    const textarea = document.getElementById('note-textarea');
+    const unedited = () => !this.conflict && textarea.value === this.currentEditingContent;
+    if (!change || !unedited()) return;
+
+    if (change.deleted) {
+      this.hideNoteEditor();
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({ type: 'GET_NOTE', id, pageURL: this.currentEditingPageURL });
+      if (response?.success && this.currentEditingNoteId === id && unedited()) {
+        this.currentEditingRevision = response.note.revision ?? 0;
+        this.currentEditingContent = response.note.content;
+        textarea.value = response.note.content;
+      }
+    } catch (error) {
+      console.error('Failed to reload note:', error);
+    }
+  }
+
   async loadVaultNotes() {
     const container = document.getElementById('vault-notes');
-    const vaultNotes = this.notes.filter((note) => note.type === 'personal');
+    const vaultNotes = this.notes.filter((note) => note.pageURL === null);
 
     if (vaultNotes.length === 0) {
       container.innerHTML = `
@@ -253,8 +563,8 @@ class PopupManager {
 
   async loadRecentNotes() {
     const container = document.getElementById('recent-notes');
-    const recentNotes = this.notes.sort(
-      (a, b) => new Date(b.updated_at) - new Date(a.updated_at)
+    const recentNotes = [...this.notes].sort(
+      (a, b) => b.updatedAt - a.updatedAt
     );
 
     if (recentNotes.length === 0) {
@@ -285,8 +595,9 @@ class PopupManager {
         currentWindow: true
       });
 
+      const pageURL = this.normalizeUrl(tab.url);
       const pageNotes = this.notes.filter(
-        (note) => note.type === 'page' && note.url === tab.url
+        (note) => note.pageURL !== null && note.pageURL === pageURL
       );
 
       if (pageNotes.length === 0) {
@@ -311,13 +622,14 @@ class PopupManager {
   }
 
   createNoteElement(note) {
-    const preview = note.content.substring(0, 100);
-    const ellipsis = note.content.length > 100 ? '...' : '';
+    const preview = note.preview ??
+      `${note.content.substring(0, 100)}${note.content.length > 100 ? '...' : ''}`;
+    const masked = this.maskNoteText || note.masked ? ' masked' : '';
     return `
       <div class="note-item" data-id="${note.id}">
-        <div class="note-preview">${this.escapeHtml(preview)}${ellipsis}</div>
+        <div class="note-preview${masked}">${this.escapeHtml(preview)}</div>
         <div class="note-meta">
-          <small>${new Date(note.updated_at).toLocaleDateString()}</small>
+          <small>${new Date(note.updatedAt).toLocaleDateString()}</small>
         </div>
         <div class="note-actions">
           <button class="note-edit-btn" data-id="${note.id}">✎</button>
@@ -329,11 +641,23 @@ class PopupManager {
 
   attachNoteListeners(container) {
     container.querySelectorAll('.note-edit-btn').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
+      btn.addEventListener('click', async (e) => {
         e.stopPropagation();
         const noteId = btn.dataset.id;
         const note = this.notes.find((n) => n.id === noteId);
-        this.showNoteEditor(note);
+        try {
+          const response = await this.sendMessage({
+            type: 'GET_NOTE',
+            id: noteId,
+            pageURL: note?.pageURL ?? null
+          });
+          if (!response?.success) {
+            throw new Error(response?.error || 'Note not found');
+          }
+          this.showNoteEditor(response.note);
+        } catch (error) {
+          alert('Error opening note: ' + error.message);
+        }
       });
     });
 
@@ -341,29 +665,156 @@ class PopupManager {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
         const noteId = btn.dataset.id;
-        if (confirm('Delete this note?')) {
-          try {
-            await this.sendMessage({
-              type: 'DELETE_NOTE',
-              id: noteId
-            });
-            this.loadNotes();
-          } catch (error) {
-            alert('Error deleting note: ' + error.message);
+        const note = this.notes.find((n) => n.id === noteId);
+        // Deleted notes go to the trash unless it is turned off
+        if (this.trashRetention === 0 && !confirm('Delete this note? This cannot be undone.')) {
+          return;
+        }
+        try {
+          const response = await this.sendMessage({
+            type: 'DELETE_NOTE',
+            id: noteId,
+            pageURL: note?.pageURL ?? null
+          });
+          this.loadNotes();
+          if (!response?.success) {
+            throw new Error(response?.error || 'Failed to delete note');
           }
+          if (response.trashed) {
+            this.showUndoToast('Note moved to trash', () => this.restoreNote(noteId));
+          }
+        } catch (error) {
+          alert('Error deleting note: ' + error.message);
         }
       });
     });
   }
 
+  async loadTrash() {
+    const container = document.getElementById('trash-notes');
+
+    try {
+      const response = await this.sendMessage({ type: 'LIST_TRASH' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to load trash');
+      }
+
+      if (response.notes.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">🗑️</div>
+            <p>Trash is empty</p>
+            <p class="empty-hint">Deleted notes stay here until they expire</p>
+          </div>
+        `;
+        return;
+      }
+
+      container.innerHTML = response.notes
+        .map((note) => this.createTrashElement(note))
+        .join('');
+
+      container.querySelectorAll('.note-restore-btn').forEach((btn) => {
+        btn.addEventListener('click', () => this.restoreNote(btn.dataset.id));
+      });
+      container.querySelectorAll('.note-purge-btn').forEach((btn) => {
+        btn.addEventListener('click', () => this.purgeTrash(btn.dataset.id));
+      });
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    }
+  }
+
+  createTrashElement(note) {
+    const masked = this.maskNoteText || note.masked ? ' masked' : '';
+    return `
+      <div class="note-item" data-id="${note.id}">
+        <div class="note-preview${masked}">${this.escapeHtml(note.preview)}</div>
+        <div class="note-meta">
+          <small>
+            Deleted ${new Date(note.deletedAt).toLocaleDateString()}
+            · removed for good ${new Date(note.expiresAt).toLocaleDateString()}
+          </small>
+        </div>
+        <div class="note-actions">
+          <button class="note-restore-btn" data-id="${note.id}" title="Restore">↺</button>
+          <button class="note-purge-btn" data-id="${note.id}" title="Delete permanently">✕</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async restoreNote(noteId) {
+    try {
+      const response = await this.sendMessage({ type: 'RESTORE_NOTE', id: noteId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to restore');
+      }
+      this.loadNotes();
+      if (!document.getElementById('trash-tab').classList.contains('hidden')) {
+        this.loadTrash();
+      }
+    } catch (error) {
+      alert('Error restoring note: ' + error.message);
+    }
+  }
+
+  async purgeTrash(noteId) {
+    if (!confirm('Delete this note permanently? This cannot be undone.')) {
+      return;
+    }
+    try {
+      await this.sendMessage({ type: 'PURGE_TRASH', id: noteId });
+      this.loadTrash();
+    } catch (error) {
+      alert('Error deleting note: ' + error.message);
+    }
+  }
+
+  async emptyTrash() {
+    if (!confirm('Permanently delete every note in the trash? This cannot be undone.')) {
+      return;
+    }
+    try {
+      await this.sendMessage({ type: 'PURGE_TRASH' });
+      this.loadTrash();
+    } catch (error) {
+      alert('Error emptying trash: ' + error.message);
+    }
+  }
+
+  showUndoToast(message, onUndo) {
+    const toast = document.getElementById('undo-toast');
+    toast.querySelector('.undo-message').textContent = message;
+    toast.classList.remove('hidden');
+
+    this.undoAction = onUndo;
+    clearTimeout(this.undoTimer);
+    this.undoTimer = setTimeout(() => this.hideUndoToast(), 6000);
+  }
+
+  hideUndoToast() {
+    document.getElementById('undo-toast')?.classList.add('hidden');
+    clearTimeout(this.undoTimer);
+    this.undoTimer = null;
+    this.undoAction = null;
+  }
+
   showNoteEditor(note) {
     const modal = document.getElementById('note-editor-modal');
     const title = document.getElementById('editor-title');
     const textarea = document.getElementById('note-textarea');
 
     this.currentEditingNoteId = note?.id ?? null;
+    this.currentEditingPageURL = note?.pageURL ?? null;
+    this.currentEditingRevision = note ? note.revision ?? 0 : undefined;
+    this.currentEditingContent = note?.content ?? '';
     title.textContent = note ? 'Edit Note' : 'New Note';
-    textarea.value = note?.content ?? '';
+    textarea.value = this.currentEditingContent;
+
+    this.hideHistory();
+    this.hideConflict();
+    document.querySelector('.history-btn')?.classList.toggle('hidden', !note);
 
     modal.classList.remove('hidden');
     textarea.focus();
@@ -375,6 +826,118 @@ class PopupManager {
     modal.classList.add('hidden');
     textarea.value = '';
     this.currentEditingNoteId = null;
+    this.currentEditingPageURL = null;
+    this.currentEditingRevision = undefined;
+    this.currentEditingContent = '';
+    this.hideHistory();
+    this.hideConflict();
+  }
+
+  async toggleHistory() {
+    const panel = document.getElementById('revision-panel');
+    if (!panel.classList.contains('hidden')) {
+      this.hideHistory();
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({
+        type: 'LIST_REVISIONS',
+        id: this.currentEditingNoteId,
+        pageURL: this.currentEditingPageURL
+      });
+      if (response?.code === 'LOCKED') {
+        alert('Notes are locked. Unlock to see their history.');
+        return;
+      }
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to load history');
+      }
+
+      this.revisions = response.revisions;
+      this.renderRevisions();
+      panel.classList.remove('hidden');
+    } catch (error) {
+      alert('Error loading history: ' + error.message);
+    }
+  }
+
+  hideHistory() {
+    document.getElementById('revision-panel')?.classList.add('hidden');
+    this.revisions = [];
+    this.selectedRevisionId = null;
+  }
+
+  renderRevisions() {
+    const list = document.getElementById('revision-list');
+    this.selectedRevisionId = null;
+    document.getElementById('revision-diff').classList.add('hidden');
+    document.querySelector('.restore-revision-btn').classList.add('hidden');
+
+    if (this.revisions.length === 0) {
+      list.innerHTML = '<li class="text-muted">No earlier versions</li>';
+      return;
+    }
+
+    list.innerHTML = this.revisions
+      .map((revision) => `
+        <li>
+          <button class="revision-item" data-id="${revision.id}">
+            ${this.escapeHtml(new Date(revision.savedAt).toLocaleString())}
+          </button>
+        </li>
+      `)
+      .join('');
+
+    list.querySelectorAll('.revision-item').forEach((btn) => {
+      btn.addEventListener('click', () => this.showRevision(btn.dataset.id));
+    });
+  }
+
+  // Changes from the selected revision to the text in the editor
+  showRevision(revisionId) {
+    const revision = this.revisions.find((r) => r.id === revisionId);
+    if (!revision) return;
+
+    this.selectedRevisionId = revisionId;
+    document.querySelectorAll('.revision-item').forEach((btn) => {
+      btn.classList.toggle('selected', btn.dataset.id === revisionId);
+    });
+
+    const current = document.getElementById('note-textarea').value;
+    const diff = document.getElementById('revision-diff');
+    diff.innerHTML = diffLines(revision.content, current)
+      .map(({ type, text }) => `<div class="diff-line ${type}">${this.escapeHtml(text)}</div>`)
+      .join('');
+    diff.classList.remove('hidden');
+    document.querySelector('.restore-revision-btn').classList.remove('hidden');
+  }
+
+  async restoreRevision() {
+    if (!this.selectedRevisionId) return;
+
+    try {
+      const id = this.currentEditingNoteId;
+      const pageURL = this.currentEditingPageURL;
+      const response = await this.sendMessage({
+        type: 'RESTORE_REVISION',
+        id,
+        pageURL,
+        revisionId: this.selectedRevisionId
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to restore');
+      }
+
+      // The replaced version is now in the history too
+      const reopened = await this.sendMessage({ type: 'GET_NOTE', id, pageURL });
+      if (reopened?.success) {
+        this.showNoteEditor(reopened.note);
+      }
+      this.loadNotes();
+    } catch (error) {
+      alert('Error restoring version: ' + error.message);
+    }
   }
 
   async saveNote() {
@@ -387,12 +950,85 @@ class PopupManager {
     }
 
     try {
-      await this.sendMessage({
+      const response = await this.sendMessage({
         type: 'SAVE_NOTE',
         id: this.currentEditingNoteId,
-        content: content
+        pageURL: this.currentEditingPageURL,
+        content: content,
+        baseRevision: this.currentEditingRevision
       });
 
+      // Changed elsewhere since the editor opened
+      if (response?.code === 'CONFLICT') {
+        this.showConflict(response);
+        return;
+      }
+
+      // Locked since the editor opened; a queued save completes on unlock
+      if (response?.code === 'LOCKED') {
+        if (!response.queued) {
+          alert('Notes are locked. Unlock and save again.');
+          return;
+        }
+        this.hideNoteEditor();
+        this.handleLockUpdated({ locked: true });
+        this.showUnlockForm();
+        this.showUnlockError('Unlock to finish saving your note.');
+        return;
+      }
+
+      this.hideNoteEditor();
+      this.loadNotes();
+    } catch (error) {
+      alert('Error saving note: ' + error.message);
+    }
+  }
+
+  showConflict(conflict) {
+    this.conflict = conflict;
+    this.hideHistory();
+    document.getElementById('conflict-panel').classList.remove('hidden');
+  }
+
+  hideConflict() {
+    document.getElementById('conflict-panel')?.classList.add('hidden');
+    this.conflict = null;
+  }
+
+  // Both edits combined in the editor, to review and save over the current version
+  mergeConflict() {
+    if (!this.conflict) return;
+    document.getElementById('note-textarea').value = this.conflict.merged.content;
+    this.currentEditingRevision = this.conflict.current.revision ?? 0;
+    this.currentEditingContent = this.conflict.current.content;
+    this.hideConflict();
+  }
+
+  overwriteConflict() {
+    if (!this.conflict) return;
+    this.currentEditingRevision = this.conflict.current.revision ?? 0;
+    this.hideConflict();
+    this.saveNote();
+  }
+
+  // The other version stays; this edit is saved as a new note on the same page
+  async keepBothConflict() {
+    if (!this.conflict) return;
+    const { id, createdAt, updatedAt, revision, ...note } = this.conflict.attempted;
+
+    try {
+      const response = await this.sendMessage({
+        type: 'CREATE_NOTE',
+        note: {
+          ...note,
+          id: crypto.randomUUID(),
+          content: document.getElementById('note-textarea').value.trim()
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save');
+      }
+
       this.hideNoteEditor();
       this.loadNotes();
     } catch (error) {
@@ -417,6 +1053,15 @@ class PopupManager {
     }
   }
 
+  normalizeUrl(url) {
+    try {
+      const u = new URL(url);
+      return `${u.protocol}//${u.host}${u.pathname}`;
+    } catch {
+      return url;
+    }
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -3,6 +3,14 @@
  * Handles settings management and security configuration
  */
 
+import {
+  checkSecret,
+  estimateStrength,
+  DEFAULT_PASSPHRASE_POLICY,
+  PASSPHRASE_MAX_LENGTH,
+  PIN_RULES,
+} from '../crypto/secret-policy.js';
+
 class SettingsManager {
   constructor() {
     this.settings = {};
@@ -19,6 +27,9 @@ class SettingsManager {
 
       // Load initial UI state
       this.updateUI();
+      await this.loadRecoveryStatus();
+      await this.loadReencryptJob();
+      await this.loadStorageUsage();
     } catch (error) {
       console.error('Failed to initialize settings:', error);
     }
@@ -69,18 +80,12 @@ class SettingsManager {
   }
 
   attachEventListeners() {
-    // Security Settings
-    const encryptToggle = document.getElementById('encryption-toggle');
-    if (encryptToggle) {
-      encryptToggle.addEventListener('change', () => this.updateSetting('encryptionEnabled', encryptToggle.checked));
-    }
-
-    // Security Level
+    // Security Level (encryption and PIN requirement follow from it)
     const securityLevels = document.querySelectorAll('input[name="security-level"]');
     securityLevels.forEach((input) => {
       input.addEventListener('change', () => {
         if (input.checked) {
-          this.updateSetting('securityLevel', input.value);
+          this.changeSecurityLevel(input.value);
         }
       });
     });
@@ -161,6 +166,87 @@ class SettingsManager {
       changePinBtn.addEventListener('click', () => this.showPINChange());
     }
 
+    // Recovery code
+    const regenerateRecoveryBtn = document.getElementById('regenerate-recovery-btn');
+    if (regenerateRecoveryBtn) {
+      regenerateRecoveryBtn.addEventListener('click', () => this.regenerateRecoveryCode());
+    }
+
+    const disableRecoveryBtn = document.getElementById('disable-recovery-btn');
+    if (disableRecoveryBtn) {
+      disableRecoveryBtn.addEventListener('click', () => this.disableRecovery());
+    }
+
+    // Re-encryption job
+    document.getElementById('reencrypt-cancel-btn')?.addEventListener('click', async () => {
+      await this.sendMessage({ type: 'CANCEL_REENCRYPT_JOB' });
+      await this.loadReencryptJob();
+    });
+
+    document.getElementById('reencrypt-resume-btn')?.addEventListener('click', async () => {
+      const response = await this.sendMessage({ type: 'RESUME_REENCRYPT_JOB' });
+      if (response?.code === 'LOCKED') {
+        alert('Unlock QuietNote first, then resume.');
+      }
+      await this.loadReencryptJob();
+    });
+
+    document.getElementById('rotate-key-btn')?.addEventListener('click', () => this.showKeyRotation());
+
+    // Vault health
+    document.getElementById('verify-vault-btn')?.addEventListener('click', () => this.verifyVault());
+    ['quarantine', 'export', 'delete'].forEach((action) => {
+      document.getElementById(`${action}-records-btn`)?.addEventListener('click', () => this.verifyVault(action));
+    });
+
+    // Key derivation
+    const keyDerivationSelect = document.getElementById('key-derivation');
+    if (keyDerivationSelect) {
+      keyDerivationSelect.addEventListener('change', () => {
+        this.updateSetting('keyDerivation', keyDerivationSelect.value);
+      });
+    }
+
+    // Passphrase policy
+    const policyInputs = {
+      minLength: document.getElementById('passphrase-min-length'),
+      requireLowercase: document.getElementById('passphrase-require-lowercase'),
+      requireUppercase: document.getElementById('passphrase-require-uppercase'),
+      requireDigit: document.getElementById('passphrase-require-digit'),
+      requireSymbol: document.getElementById('passphrase-require-symbol'),
+    };
+    Object.entries(policyInputs).forEach(([rule, input]) => {
+      input?.addEventListener('change', () => {
+        const value = rule === 'minLength'
+          ? Math.min(128, Math.max(8, parseInt(input.value) || DEFAULT_PASSPHRASE_POLICY.minLength))
+          : input.checked;
+        this.updateSetting('passphrasePolicy', {
+          ...DEFAULT_PASSPHRASE_POLICY,
+          ...this.settings.passphrasePolicy,
+          [rule]: value,
+        });
+      });
+    });
+
+    // Note history
+    const revisionLimitInput = document.getElementById('revision-limit');
+    revisionLimitInput?.addEventListener('change', () => {
+      const limit = Math.min(100, Math.max(0, parseInt(revisionLimitInput.value) || 0));
+      revisionLimitInput.value = limit;
+      this.updateSetting('revisionLimit', limit);
+    });
+
+    const revisionMaxAgeSelect = document.getElementById('revision-max-age');
+    revisionMaxAgeSelect?.addEventListener('change', () => {
+      this.updateSetting('revisionMaxAge', parseInt(revisionMaxAgeSelect.value));
+    });
+
+    // Trash
+    const trashRetentionSelect = document.getElementById('trash-retention');
+    trashRetentionSelect?.addEventListener('change', () => {
+      this.updateSetting('trashRetention', parseInt(trashRetentionSelect.value));
+    });
+
     // Export/Import
     const exportBtn = document.getElementById('export-btn');
     if (exportBtn) {
@@ -202,26 +288,115 @@ class SettingsManager {
   }
 
   async updateSetting(key, value) {
+    const previous = this.settings[key];
     try {
       this.settings[key] = value;
-      await this.sendMessage({
+      const response = await this.sendMessage({
         type: 'SAVE_SETTINGS',
         settings: this.settings
       });
+      if (!response?.success) {
+        throw new Error(response?.details?.[0]?.message || response?.error || 'Failed to save');
+      }
 
       this.showSaveIndicator();
     } catch (error) {
       console.error('Failed to save setting:', error);
+
+      // Put the control back to the value still in effect
+      this.settings[key] = previous;
+      this.updateUI();
+      if (key === 'theme') this.applyTheme(previous);
+      if (key === 'fontSize') this.applyFontSize(previous);
       alert('Error saving setting: ' + error.message);
     }
   }
 
+  /**
+   * Switch the security level. The background first reports how many notes
+   * would be encrypted or decrypted; nothing changes until the user confirms.
+   */
+  async changeSecurityLevel(level) {
+    try {
+      const preview = await this.sendMessage({ type: 'SET_SECURITY_LEVEL', level });
+      if (preview?.code !== 'CONFIRMATION_REQUIRED') {
+        throw new Error(preview?.error || 'Failed to change security level');
+      }
+
+      const changes = [];
+      if (preview.toEncrypt > 0) changes.push(`${preview.toEncrypt} note(s) will be encrypted`);
+      if (preview.toDecrypt > 0) changes.push(`${preview.toDecrypt} note(s) will be stored unencrypted`);
+      const message = `Change the security level to "${level}"?` +
+        (changes.length > 0 ? `\n\n${changes.join('\n')}` : '');
+
+      if (confirm(message)) {
+        const response = await this.sendMessage({ type: 'SET_SECURITY_LEVEL', level, confirmed: true });
+        if (response?.code === 'LOCKED') {
+          alert('Unlock QuietNote first, then change the security level.');
+        } else if (response?.code === 'NO_PIN') {
+          alert('Set a PIN first, then change the security level.');
+        } else if (!response?.success) {
+          throw new Error(response?.error || 'Failed to change security level');
+        } else {
+          this.showSaveIndicator();
+          await this.loadReencryptJob();
+        }
+      }
+    } catch (error) {
+      console.error('Failed to change security level:', error);
+      alert('Error changing security level: ' + error.message);
+    }
+
+    // Reflect what was saved (and revert the radio when nothing was)
+    await this.loadSettings();
+    this.updateUI();
+  }
+
   updateUI() {
-    // Encryption
+    // Key derivation
+    const keyDerivationSelect = document.getElementById('key-derivation');
+    if (keyDerivationSelect) {
+      keyDerivationSelect.value = this.settings.keyDerivation || 'scrypt';
+    }
+
+    // Passphrase policy
+    const policy = { ...DEFAULT_PASSPHRASE_POLICY, ...this.settings.passphrasePolicy };
+    const minLengthInput = document.getElementById('passphrase-min-length');
+    if (minLengthInput) {
+      minLengthInput.value = policy.minLength;
+    }
+    ['Lowercase', 'Uppercase', 'Digit', 'Symbol'].forEach((name) => {
+      const checkbox = document.getElementById(`passphrase-require-${name.toLowerCase()}`);
+      if (checkbox) {
+        checkbox.checked = policy[`require${name}`];
+      }
+    });
+
+    // Note history
+    const revisionLimitInput = document.getElementById('revision-limit');
+    if (revisionLimitInput) {
+      revisionLimitInput.value = this.settings.revisionLimit ?? 20;
+    }
+    const revisionMaxAgeSelect = document.getElementById('revision-max-age');
+    if (revisionMaxAgeSelect) {
+      revisionMaxAgeSelect.value = String(this.settings.revisionMaxAge ?? 2592000000);
+    }
+
+    // Trash
+    const trashRetentionSelect = document.getElementById('trash-retention');
+    if (trashRetentionSelect) {
+      trashRetentionSelect.value = String(this.settings.trashRetention ?? 2592000000);
+    }
+
+    // Encryption and PIN requirement (display only; owned by the level)
     const encryptToggle = document.getElementById('encryption-toggle');
     if (encryptToggle) {
       encryptToggle.checked = this.settings.encryptionEnabled;
     }
+    const requirePINToggle = document.getElementById('require-pin-toggle');
+    if (requirePINToggle) {
+      requirePINToggle.checked = this.settings.requirePIN !== false;
+    }
 
     // Security Level
     const securityLevel = document.querySelector(`input[name="security-level"][value="${this.settings.securityLevel}"]`);
@@ -296,23 +471,114 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Markup for choosing a PIN or passphrase, shared by the setup and change modals
+   */
+  secretFieldsHTML() {
+    return `
+      <div class="secret-kind">
+        <label><input type="radio" name="secret-kind" value="pin" checked> PIN</label>
+        <label><input type="radio" name="secret-kind" value="passphrase"> Passphrase</label>
+      </div>
+      <p class="secret-hint"></p>
+      <input type="password" id="new-pin" class="pin-input" autocomplete="new-password">
+      <input type="password" id="confirm-pin" class="pin-input" autocomplete="new-password">
+      <div class="password-strength" id="strength" aria-live="polite"></div>
+    `;
+  }
+
+  /**
+   * Wire up the secret fields: switch input rules with the selected kind and
+   * show a live strength estimate. Returns a function that reads and checks
+   * the fields, resolving to { kind, secret } or null (after alerting).
+   */
+  bindSecretFields(modal) {
+    const newInput = modal.querySelector('#new-pin');
+    const confirmInput = modal.querySelector('#confirm-pin');
+    const hint = modal.querySelector('.secret-hint');
+    const strength = modal.querySelector('#strength');
+    const policy = { ...DEFAULT_PASSPHRASE_POLICY, ...this.settings.passphrasePolicy };
+    const getKind = () => modal.querySelector('input[name="secret-kind"]:checked').value;
+
+    const renderStrength = () => {
+      const { score, label } = estimateStrength(newInput.value);
+      strength.dataset.score = newInput.value ? score : '';
+      strength.textContent = newInput.value ? `Strength: ${label}` : '';
+    };
+
+    const applyKind = () => {
+      const isPIN = getKind() === 'pin';
+      newInput.maxLength = isPIN ? PIN_RULES.maxLength : PASSPHRASE_MAX_LENGTH;
+      confirmInput.maxLength = newInput.maxLength;
+      newInput.inputMode = isPIN ? 'numeric' : 'text';
+      newInput.placeholder = isPIN ? 'Enter PIN' : 'Enter passphrase';
+      confirmInput.placeholder = isPIN ? 'Confirm PIN' : 'Confirm passphrase';
+      newInput.classList.toggle('passphrase-input', !isPIN);
+      confirmInput.classList.toggle('passphrase-input', !isPIN);
+      hint.textContent = isPIN
+        ? `${PIN_RULES.minLength}-${PIN_RULES.maxLength} digits`
+        : this.describePassphrasePolicy(policy);
+      newInput.value = '';
+      confirmInput.value = '';
+      renderStrength();
+    };
+
+    modal.querySelectorAll('input[name="secret-kind"]').forEach((radio) => {
+      radio.addEventListener('change', applyKind);
+    });
+    newInput.addEventListener('input', renderStrength);
+    applyKind();
+
+    return () => {
+      const kind = getKind();
+      const secret = newInput.value;
+
+      if (secret !== confirmInput.value) {
+        alert(kind === 'pin' ? 'PINs do not match' : 'Passphrases do not match');
+        return null;
+      }
+
+      const errors = checkSecret(secret, kind, policy);
+      if (errors.length > 0) {
+        alert(errors.join('\n'));
+        return null;
+      }
+
+      return { kind, secret };
+    };
+  }
+
+  describePassphrasePolicy(policy) {
+    const required = [
+      policy.requireLowercase && 'a lowercase letter',
+      policy.requireUppercase && 'an uppercase letter',
+      policy.requireDigit && 'a digit',
+      policy.requireSymbol && 'a symbol',
+    ].filter(Boolean);
+
+    const length = `At least ${policy.minLength} characters`;
+    return required.length ? `${length}, including ${required.join(', ')}` : length;
+  }
+
   showPINSetup() {
     const modal = document.createElement('div');
     modal.className = 'modal';
     modal.innerHTML = `
       <div class="modal-content">
         <div class="modal-header">
-          <h2>Set Up PIN</h2>
+          <h2>Set Up PIN or Passphrase</h2>
           <button class="modal-close">✕</button>
         </div>
         <div class="modal-body">
-          <p>Enter a 4-8 digit PIN to protect your notes:</p>
-          <input type="password" id="new-pin" class="pin-input" placeholder="Enter PIN" maxlength="8">
-          <input type="password" id="confirm-pin" class="pin-input" placeholder="Confirm PIN" maxlength="8">
-          <div class="password-strength" id="strength"></div>
+          <p>Choose how to protect your notes:</p>
+          ${this.secretFieldsHTML()}
+          <label class="checkbox-label">
+            <input type="checkbox" id="create-recovery-code" checked>
+            <span>Create a recovery code</span>
+          </label>
         </div>
         <div class="modal-footer">
-          <button class="btn-primary setup-pin-confirm">Set PIN</button>
+          <button class="btn-primary setup-pin-confirm">Save</button>
           <button class="btn-secondary modal-cancel">Cancel</button>
         </div>
       </div>
@@ -320,8 +586,8 @@ class SettingsManager {
 
     document.body.appendChild(modal);
 
-    const newPinInput = modal.querySelector('#new-pin');
-    const confirmPinInput = modal.querySelector('#confirm-pin');
+    const readSecret = this.bindSecretFields(modal);
+    const recoveryCheckbox = modal.querySelector('#create-recovery-code');
     const confirmBtn = modal.querySelector('.setup-pin-confirm');
     const cancelBtn = modal.querySelector('.modal-cancel');
     const modalClose = modal.querySelector('.modal-close');
@@ -332,36 +598,433 @@ class SettingsManager {
     modalClose.addEventListener('click', closeModal);
 
     confirmBtn.addEventListener('click', async () => {
-      const pin = newPinInput.value;
-      const confirmPin = confirmPinInput.value;
-
-      if (pin !== confirmPin) {
-        alert('PINs do not match');
-        return;
-      }
-
-      if (!/^\d{4,8}$/.test(pin)) {
-        alert('PIN must be 4-8 digits');
-        return;
-      }
+      const secret = readSecret();
+      if (!secret) return;
 
       try {
-        await this.sendMessage({
+        const response = await this.sendMessage({
           type: 'SET_PIN',
-          pin: pin
+          pin: secret.secret,
+          kind: secret.kind,
+          createRecoveryCode: recoveryCheckbox.checked
         });
-        alert('PIN set successfully');
+        if (response?.code === 'PIN_EXISTS') {
+          closeModal();
+          alert(response.error);
+          this.showPINChange();
+          return;
+        }
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to set PIN');
+        }
         closeModal();
+
+        if (response.recoveryCode) {
+          this.showRecoveryCode(response.recoveryCode);
+          await this.loadRecoveryStatus();
+        } else {
+          alert(secret.kind === 'pin' ? 'PIN set successfully' : 'Passphrase set successfully');
+        }
       } catch (error) {
         alert('Error setting PIN: ' + error.message);
       }
     });
 
-    newPinInput.focus();
+    modal.querySelector('#new-pin').focus();
   }
 
+  /**
+   * Change the PIN or passphrase; only the wrapped data key changes, notes
+   * stay as they are
+   */
   showPINChange() {
-    this.showPINSetup();
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Change PIN or Passphrase</h2>
+          <button class="modal-close">✕</button>
+        </div>
+        <div class="modal-body">
+          <input type="password" id="current-pin" class="pin-input passphrase-input" placeholder="Current PIN or passphrase" autocomplete="current-password">
+          <p>Choose the new one:</p>
+          ${this.secretFieldsHTML()}
+        </div>
+        <div class="modal-footer">
+          <button class="btn-primary change-pin-confirm">Change</button>
+          <button class="btn-secondary modal-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const readSecret = this.bindSecretFields(modal);
+    const currentPinInput = modal.querySelector('#current-pin');
+    const confirmBtn = modal.querySelector('.change-pin-confirm');
+    const cancelBtn = modal.querySelector('.modal-cancel');
+    const modalClose = modal.querySelector('.modal-close');
+
+    const closeModal = () => modal.remove();
+
+    cancelBtn.addEventListener('click', closeModal);
+    modalClose.addEventListener('click', closeModal);
+
+    confirmBtn.addEventListener('click', async () => {
+      const secret = readSecret();
+      if (!secret) return;
+
+      try {
+        const response = await this.sendMessage({
+          type: 'CHANGE_PIN',
+          currentPin: currentPinInput.value,
+          newPin: secret.secret,
+          kind: secret.kind
+        });
+
+        if (response?.code === 'LOCKED_OUT') {
+          alert(`Too many attempts. Try again in ${response.retryAfter}s.`);
+          return;
+        }
+        if (response?.code === 'INVALID_PIN') {
+          currentPinInput.value = '';
+          alert('Current PIN or passphrase is incorrect');
+          return;
+        }
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to change PIN');
+        }
+
+        alert('Changed successfully');
+        closeModal();
+      } catch (error) {
+        alert('Error changing PIN: ' + error.message);
+      }
+    });
+
+    currentPinInput.focus();
+  }
+
+  /**
+   * Show how full storage is, warning before writes start to fail
+   */
+  async loadStorageUsage() {
+    let usage;
+    try {
+      usage = await this.sendMessage({ type: 'GET_STORAGE_USAGE' });
+      if (!usage?.success) throw new Error(usage?.error || 'No response');
+    } catch (error) {
+      console.error('Failed to load storage usage:', error);
+      return;
+    }
+
+    const text = document.getElementById('storage-usage');
+    const bar = document.getElementById('storage-usage-bar');
+    const warning = document.getElementById('storage-warning');
+    const percent = usage.quotaBytes ? Math.round((usage.bytesInUse / usage.quotaBytes) * 100) : null;
+
+    if (text) {
+      text.textContent = usage.quotaBytes
+        ? `${this.formatBytes(usage.bytesInUse)} of ${this.formatBytes(usage.quotaBytes)} used (${percent}%)`
+        : `${this.formatBytes(usage.bytesInUse)} used`;
+    }
+    if (bar) {
+      bar.hidden = !usage.quotaBytes;
+      bar.max = usage.quotaBytes || 1;
+      bar.value = usage.bytesInUse;
+    }
+    if (warning) {
+      warning.hidden = usage.level === 'ok';
+      warning.textContent = usage.level === 'critical'
+        ? `Storage is almost full (${percent}%). New notes and edits will soon fail to save - export and delete notes you no longer need.`
+        : `Storage is ${percent}% full. Export and delete notes you no longer need before it runs out.`;
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Show the re-encryption job; polls while it runs
+   */
+  async loadReencryptJob() {
+    clearTimeout(this.reencryptPoll);
+
+    let job = null;
+    try {
+      job = (await this.sendMessage({ type: 'GET_REENCRYPT_JOB' }))?.job;
+    } catch (error) {
+      console.error('Failed to load re-encryption status:', error);
+      return;
+    }
+
+    const status = document.getElementById('reencrypt-status');
+    const progress = document.getElementById('reencrypt-progress');
+    const cancelBtn = document.getElementById('reencrypt-cancel-btn');
+    const resumeBtn = document.getElementById('reencrypt-resume-btn');
+    const active = job?.status === 'running' || job?.status === 'paused';
+
+    if (status) {
+      const counts = job ? `${job.processed} of ${job.total} notes` : '';
+      const failed = job?.failed ? `, ${job.failed} could not be read` : '';
+      status.textContent = {
+        running: `Re-encrypting: ${counts}${failed}`,
+        paused: `Paused until unlock: ${counts}`,
+        cancelled: `Cancelled after ${counts}`,
+        done: `Finished: ${counts}${failed}`,
+      }[job?.status] || 'No re-encryption in progress';
+    }
+    if (progress) {
+      progress.hidden = !active;
+      progress.max = Math.max(job?.total || 0, 1);
+      progress.value = job?.processed || 0;
+    }
+    if (cancelBtn) cancelBtn.hidden = !active;
+    if (resumeBtn) resumeBtn.hidden = job?.status !== 'cancelled' && job?.status !== 'paused';
+
+    if (job?.status === 'running') {
+      this.reencryptPoll = setTimeout(() => this.loadReencryptJob(), 1000);
+    }
+  }
+
+  /**
+   * Run VERIFY_VAULT, optionally repairing the selected records first
+   */
+  async verifyVault(repair) {
+    const selected = [...document.querySelectorAll('#vault-issues input:checked')].map((input) => input.value);
+    if (repair === 'delete' && !confirm(`Permanently delete ${selected.length} record(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage(
+        repair ? { type: 'VERIFY_VAULT', repair, keys: selected } : { type: 'VERIFY_VAULT' }
+      );
+      if (!response?.success) {
+        throw new Error(response?.error || 'Vault check failed');
+      }
+
+      if (response.data) {
+        const blob = new Blob([response.data], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `quietnote-records-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+      }
+
+      this.renderVaultReport(response);
+      if (repair) {
+        await this.loadStorageUsage();
+      }
+    } catch (error) {
+      alert('Error checking vault: ' + error.message);
+    }
+  }
+
+  renderVaultReport(report) {
+    const status = document.getElementById('vault-health-status');
+    const list = document.getElementById('vault-issues');
+    if (!status || !list) return;
+
+    const records = new Map();
+    report.issues.forEach((issue) => {
+      const record = records.get(issue.key) || { key: issue.key, problems: [] };
+      record.problems.push(`${issue.problem}: ${issue.detail}`);
+      records.set(issue.key, record);
+    });
+    report.quarantined.forEach((record) => {
+      records.set(record.key, { key: record.key, problems: [`quarantined (${record.problems.join(', ')})`] });
+    });
+
+    const skipped = report.complete ? '' : ` ${report.skipped} encrypted notes were skipped; unlock to check them.`;
+    status.textContent = records.size === 0
+      ? `All ${report.checked} notes are healthy.${skipped}`
+      : `${records.size} record(s) need attention.${skipped}`;
+
+    list.innerHTML = '';
+    records.forEach((record) => {
+      const item = document.createElement('li');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = record.key;
+      const text = document.createElement('span');
+      text.textContent = `${record.key} - ${record.problems.join('; ')}`;
+      item.append(checkbox, text);
+      list.appendChild(item);
+    });
+
+    const updateButtons = () => {
+      const none = !list.querySelector('input:checked');
+      ['quarantine', 'export', 'delete'].forEach((action) => {
+        const button = document.getElementById(`${action}-records-btn`);
+        if (button) button.disabled = none;
+      });
+    };
+    list.onchange = updateButtons;
+    updateButtons();
+  }
+
+  showKeyRotation() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Rotate Encryption Key</h2>
+          <button class="modal-close">✕</button>
+        </div>
+        <div class="modal-body">
+          <p>Every note will be re-encrypted with a new key. This runs in the background and can be cancelled and resumed.</p>
+          <input type="password" id="rotate-pin" class="pin-input passphrase-input" placeholder="Current PIN or passphrase" autocomplete="current-password">
+        </div>
+        <div class="modal-footer">
+          <button class="btn-primary rotate-key-confirm">Rotate</button>
+          <button class="btn-secondary modal-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const pinInput = modal.querySelector('#rotate-pin');
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+
+    modal.querySelector('.rotate-key-confirm').addEventListener('click', async () => {
+      try {
+        const response = await this.sendMessage({ type: 'ROTATE_DATA_KEY', pin: pinInput.value });
+
+        if (response?.code === 'LOCKED') {
+          alert('Unlock QuietNote first, then rotate the key.');
+          return;
+        }
+        if (response?.code === 'LOCKED_OUT') {
+          alert(`Too many attempts. Try again in ${response.retryAfter}s.`);
+          return;
+        }
+        if (response?.code === 'INVALID_PIN') {
+          pinInput.value = '';
+          alert('PIN or passphrase is incorrect');
+          return;
+        }
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to rotate key');
+        }
+
+        closeModal();
+        if (response.recoveryCode) {
+          this.showRecoveryCode(response.recoveryCode);
+          await this.loadRecoveryStatus();
+        }
+        await this.loadReencryptJob();
+      } catch (error) {
+        alert('Error rotating key: ' + error.message);
+      }
+    });
+
+    pinInput.focus();
+  }
+
+  async loadRecoveryStatus() {
+    const status = document.getElementById('recovery-status');
+    const disableBtn = document.getElementById('disable-recovery-btn');
+
+    try {
+      const response = await this.sendMessage({ type: 'GET_RECOVERY_STATUS' });
+      if (status) {
+        status.textContent = response?.enabled
+          ? `Set up on ${new Date(response.createdAt).toLocaleDateString()}`
+          : 'Not set up';
+      }
+      if (disableBtn) {
+        disableBtn.disabled = !response?.enabled;
+      }
+    } catch (error) {
+      console.error('Failed to load recovery status:', error);
+    }
+  }
+
+  async regenerateRecoveryCode() {
+    if (!confirm('Create a new recovery code? The current code will stop working.')) {
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({ type: 'REGENERATE_RECOVERY_CODE' });
+      if (response?.code === 'LOCKED') {
+        alert('Unlock QuietNote first, then regenerate the recovery code.');
+        return;
+      }
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to create recovery code');
+      }
+
+      this.showRecoveryCode(response.recoveryCode);
+      await this.loadRecoveryStatus();
+    } catch (error) {
+      alert('Error creating recovery code: ' + error.message);
+    }
+  }
+
+  async disableRecovery() {
+    if (!confirm('Disable recovery? A forgotten PIN will then mean losing your encrypted notes.')) {
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({ type: 'DISABLE_RECOVERY' });
+      if (response?.code === 'LOCKED') {
+        alert('Unlock QuietNote first, then disable recovery.');
+        return;
+      }
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to disable recovery');
+      }
+
+      await this.loadRecoveryStatus();
+    } catch (error) {
+      alert('Error disabling recovery: ' + error.message);
+    }
+  }
+
+  /**
+   * Show a recovery code once; it is not stored and cannot be shown again
+   */
+  showRecoveryCode(code) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Your Recovery Code</h2>
+        </div>
+        <div class="modal-body">
+          <p>Write this code down and keep it somewhere safe, offline. It will not be shown again.</p>
+          <p class="recovery-code"></p>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-secondary recovery-copy">Copy</button>
+          <button class="btn-primary recovery-done">I've saved it</button>
+        </div>
+      </div>
+    `;
+    modal.querySelector('.recovery-code').textContent = code;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector('.recovery-copy').addEventListener('click', async () => {
+      await navigator.clipboard.writeText(code);
+      // Clear it again, like ClipboardManager does for note text
+      setTimeout(() => navigator.clipboard.writeText('').catch(() => {}), 60000);
+    });
+    modal.querySelector('.recovery-done').addEventListener('click', () => modal.remove());
   }
 
   async exportNotes() {
@@ -370,7 +1033,11 @@ class SettingsManager {
         type: 'EXPORT_NOTES'
       });
 
-      const data = JSON.stringify(response.notes, null, 2);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Export failed');
+      }
+
+      const data = response.data;
       const blob = new Blob([data], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -390,12 +1057,15 @@ class SettingsManager {
     const reader = new FileReader();
     reader.onload = async (e) => {
       try {
-        const notes = JSON.parse(e.target.result);
-        await this.sendMessage({
+        const response = await this.sendMessage({
           type: 'IMPORT_NOTES',
-          notes: notes
+          data: e.target.result
         });
-        alert('Notes imported successfully');
+        if (!response?.success) {
+          throw new Error(response?.error || 'Import failed');
+        }
+        alert(`Imported ${response.count} notes`);
+        await this.loadStorageUsage();
       } catch (error) {
         alert('Error importing notes: ' + error.message);
       }